@@ -0,0 +1,81 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const consoleLogger = require('../consoleLogger.js');
+
+/**
+ * Keeps the results of slow analysis passes (crop detection, interlace
+ * detection, loudness measurement) per source file, so a retry or a later run
+ * can skip them. Each source gets its own JSON file, named after a hash of its
+ * path. Entries are dropped as soon as the source's size or mtime changes.
+ */
+class AnalysisCache {
+    constructor(options = {}) {
+        this.dir = path.resolve(options.dir || path.join(os.homedir(), '.h265ize', 'analysis'));
+        this.logger = options.logger || consoleLogger;
+    }
+
+    /**
+     * Cache file of a source
+     */
+    file(sourcePath) {
+        const hash = crypto.createHash('sha1').update(path.resolve(sourcePath)).digest('hex');
+        return path.join(this.dir, hash + '.json');
+    }
+
+    /**
+     * Cached entry of a source, a fresh one when there is none or the source
+     * changed since it was written
+     */
+    async load(sourcePath) {
+        const stats = await fs.stat(sourcePath);
+        const fresh = {
+            path: path.resolve(sourcePath),
+            size: stats.size,
+            mtime: stats.mtime.getTime(),
+            results: {}
+        };
+
+        let entry;
+        try {
+            entry = JSON.parse(await fs.readFile(this.file(sourcePath), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.debug(`Ignoring analysis cache of ${sourcePath}: ${error.message}`);
+            }
+            return fresh;
+        }
+
+        if (entry.path !== fresh.path || entry.size !== fresh.size || entry.mtime !== fresh.mtime) {
+            return fresh;
+        }
+        return entry;
+    }
+
+    /**
+     * Cached result of an analysis, undefined when it has to be run. `params`
+     * holds whatever the result depends on besides the source itself.
+     */
+    async get(sourcePath, name, params = {}) {
+        const result = (await this.load(sourcePath)).results[name];
+        if (!result || JSON.stringify(result.params) !== JSON.stringify(params)) {
+            return undefined;
+        }
+        return result.value;
+    }
+
+    async set(sourcePath, name, params = {}, value) {
+        const entry = await this.load(sourcePath);
+        entry.results[name] = { params, value, created: new Date().toISOString() };
+
+        const file = this.file(sourcePath);
+        const temp = file + '.' + process.pid + '.tmp';
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(temp, JSON.stringify(entry, null, 2));
+        await fs.rename(temp, file);
+    }
+}
+
+module.exports = AnalysisCache;
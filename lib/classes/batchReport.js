@@ -0,0 +1,212 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+const filesize = require('filesize');
+
+const FORMATS = ['json', 'csv', 'html'];
+const CSV_COLUMNS = ['path', 'output', 'status', 'inputSize', 'outputSize', 'ratio', 'duration', 'elapsed', 'settings', 'stages', 'qualitySearch', 'verification', 'checks', 'keptOriginal', 'error'];
+
+/**
+ * Writes the results of a batch, one entry per video, as JSON, CSV or a
+ * self-contained HTML page
+ */
+class BatchReport {
+    constructor(options = {}) {
+        this.path = path.resolve(options.path);
+        this.format = (options.format || path.extname(this.path).slice(1) || 'json').toLowerCase();
+
+        if (FORMATS.indexOf(this.format) === -1) {
+            throw new Error(`Unknown report format ${this.format}, use one of ${FORMATS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Quote a CSV field when it holds separators, quotes or line breaks
+     */
+    static csvField(value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * "key=value; key=value" for the nested settings and stage timings
+     */
+    static flatten(object = {}) {
+        return Object.keys(object).map(key => `${key}=${object[key]}`).join('; ');
+    }
+
+    /**
+     * Chosen CRF and its scores of a quality search, without the trials
+     */
+    static summarizeQuality(search) {
+        if (!search) {
+            return {};
+        }
+
+        const summary = {
+            crf: search.crf,
+            metric: search.metric,
+            target: search.target,
+            met: search.met
+        };
+        Object.keys(search.scores).forEach(metric => {
+            summary[metric] = Number(search.scores[metric].toFixed(4));
+        });
+        return summary;
+    }
+
+    /**
+     * Outcome and average scores of the quality check, without the samples
+     */
+    static summarizeVerification(verification) {
+        if (!verification) {
+            return {};
+        }
+
+        const summary = {
+            passed: verification.passed,
+            metric: verification.metric,
+            threshold: verification.threshold
+        };
+        Object.keys(verification.scores).forEach(metric => {
+            summary[metric] = Number(verification.scores[metric].toFixed(4));
+        });
+        return summary;
+    }
+
+    /**
+     * "passed" or "failed: why" per verification check
+     */
+    static summarizeChecks(checks) {
+        return (checks || []).reduce((summary, check) => {
+            summary[check.name] = check.passed ? 'passed' : `failed: ${check.detail}`;
+            return summary;
+        }, {});
+    }
+
+    static formatMilliseconds(milliseconds) {
+        if (!milliseconds && milliseconds !== 0) {
+            return '';
+        }
+        const seconds = Math.round(milliseconds / 1000);
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+    }
+
+    toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    toCSV(report) {
+        const rows = report.videos.map(video => CSV_COLUMNS.map(column => {
+            let value = video[column];
+            if (column === 'settings' || column === 'stages') {
+                value = BatchReport.flatten(value);
+            } else if (column === 'qualitySearch') {
+                value = BatchReport.flatten(BatchReport.summarizeQuality(value));
+            } else if (column === 'verification') {
+                value = BatchReport.flatten(BatchReport.summarizeVerification(value));
+            } else if (column === 'checks') {
+                value = BatchReport.flatten(BatchReport.summarizeChecks(value));
+            } else if (column === 'keptOriginal') {
+                value = BatchReport.flatten(value || {});
+            }
+            return BatchReport.csvField(value);
+        }).join(','));
+
+        return [CSV_COLUMNS.join(',')].concat(rows).join('\r\n') + '\r\n';
+    }
+
+    toHTML(report) {
+        const escape = BatchReport.escapeHtml;
+        const size = (bytes) => bytes ? filesize(bytes) : '';
+        const list = (object = {}, format = (value) => value) => Object.keys(object)
+            .map(key => `<li>${escape(key)}: ${escape(format(object[key]))}</li>`).join('');
+
+        const rows = report.videos.map(video => `
+      <tr class="${escape(video.status)}">
+        <td>${escape(path.basename(video.path))}<div class="path">${escape(video.path)}</div></td>
+        <td>${escape(video.status)}${video.error ? `<div class="error">${escape(video.error)}</div>` : ''}</td>
+        <td>${size(video.inputSize)}</td>
+        <td>${size(video.outputSize)}</td>
+        <td>${video.ratio ? (video.ratio * 100).toFixed(1) + '%' : ''}</td>
+        <td>${BatchReport.formatMilliseconds(video.duration * 1000)}</td>
+        <td>${BatchReport.formatMilliseconds(video.elapsed)}</td>
+        <td><ul>${list(video.settings)}</ul></td>
+        <td><ul>${list(video.stages, BatchReport.formatMilliseconds)}</ul></td>
+        <td><ul>${list(BatchReport.summarizeQuality(video.qualitySearch))}</ul></td>
+        <td><ul>${list(BatchReport.summarizeVerification(video.verification))}</ul></td>
+        <td><ul>${list(BatchReport.summarizeChecks(video.checks))}</ul></td>
+        <td><ul>${list(video.keptOriginal || {})}</ul></td>
+      </tr>`).join('');
+
+        const summary = report.summary;
+        return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>h265ize report ${escape(report.generated)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 0.4em; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    ul { margin: 0; padding-left: 1.2em; }
+    .path { color: #777; font-size: 0.8em; }
+    .failed { background: #fdecea; }
+    .error { color: #b00020; }
+  </style>
+</head>
+<body>
+  <h1>h265ize report</h1>
+  <p>Generated ${escape(report.generated)}</p>
+  <ul>
+    <li>Processed: ${summary.processed}</li>
+    <li>Failed: ${summary.failed}</li>
+    <li>Left in queue: ${summary.queued}</li>
+    <li>Total input size: ${size(summary.inputSize)}</li>
+    <li>Total output size: ${size(summary.outputSize)}</li>
+    <li>Compression ratio: ${summary.ratio ? (summary.ratio * 100).toFixed(1) + '%' : ''}</li>
+    <li>Total time: ${BatchReport.formatMilliseconds(summary.totalTime)}</li>
+  </ul>
+  <table>
+    <thead>
+      <tr><th>Video</th><th>Status</th><th>Input</th><th>Output</th><th>Ratio</th><th>Duration</th><th>Elapsed</th><th>Settings</th><th>Stages</th><th>Quality</th><th>Verification</th><th>Checks</th><th>Kept original</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Render the report in the configured format and write it, creating the
+     * directory when needed
+     */
+    async write(report) {
+        const renderers = {
+            json: this.toJSON,
+            csv: this.toCSV,
+            html: this.toHTML
+        };
+
+        await fs.mkdir(path.dirname(this.path), { recursive: true });
+        await fs.writeFile(this.path, renderers[this.format].call(this, report));
+        return this.path;
+    }
+}
+
+module.exports = BatchReport;
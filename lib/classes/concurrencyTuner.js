@@ -0,0 +1,108 @@
+const os = require('os');
+
+/**
+ * Hill climbs the number of parallel encodes towards the highest total
+ * throughput (encoded seconds of video per wall-clock second).
+ *
+ * Throughput is averaged over a window of samples per concurrency. After each
+ * window the tuner steps one job further in the current direction while that
+ * helps, and steps back and turns around when it hurts. When two settings are
+ * about as fast the one with fewer jobs wins. After stepping back it holds for
+ * a few windows before probing again, so the mix of videos can change.
+ */
+class ConcurrencyTuner {
+    constructor(options = {}) {
+        this.min = Math.max(1, options.min || 1);
+        this.max = Math.max(this.min, options.max || os.cpus().length);
+        this.windowSize = options.samples || 10;
+        this.tolerance = options.tolerance !== undefined ? options.tolerance : 0.05;
+        this.holdWindows = options.holdWindows || 6;
+
+        this.current = null;
+        this.samples = [];
+        this.previous = null;
+        this.direction = 1;
+        this.hold = 0;
+    }
+
+    clamp(concurrency) {
+        return Math.min(this.max, Math.max(this.min, concurrency));
+    }
+
+    /**
+     * Forget what was measured, e.g. after the concurrency was changed by
+     * someone else
+     */
+    reset(concurrency) {
+        this.current = concurrency;
+        this.samples = [];
+        this.previous = null;
+    }
+
+    /**
+     * Add a throughput sample taken while running `concurrency` jobs.
+     * Resolves a decision once a window is complete, null otherwise:
+     * { concurrency, previous, throughput, changed, reason }
+     */
+    sample(concurrency, throughput) {
+        if (concurrency !== this.current) {
+            this.reset(concurrency);
+        }
+
+        this.samples.push(throughput);
+        if (this.samples.length < this.windowSize) {
+            return null;
+        }
+
+        const measured = this.samples.reduce((sum, value) => sum + value, 0) / this.samples.length;
+        this.samples = [];
+
+        const decision = this.decide(concurrency, measured);
+        this.current = decision.concurrency;
+        return Object.assign(decision, {
+            previous: concurrency,
+            throughput: measured,
+            changed: decision.concurrency !== concurrency
+        });
+    }
+
+    decide(concurrency, throughput) {
+        const rate = `${throughput.toFixed(2)}x with ${concurrency} jobs`;
+
+        if (this.hold > 0) {
+            this.hold--;
+            return { concurrency, reason: `holding, ${rate}` };
+        }
+
+        const previous = this.previous;
+        if (!previous) {
+            // Nothing to compare with yet, probe a neighbour
+            let next = this.clamp(concurrency + this.direction);
+            if (next === concurrency) {
+                this.direction = -this.direction;
+                next = this.clamp(concurrency + this.direction);
+            }
+            this.previous = { concurrency, throughput };
+            return { concurrency: next, reason: next === concurrency ? `only ${concurrency} jobs allowed` : `probing, ${rate}` };
+        }
+
+        const better = throughput > previous.throughput * (1 + this.tolerance);
+        const worse = throughput < previous.throughput * (1 - this.tolerance);
+        const comparison = `${rate} vs ${previous.throughput.toFixed(2)}x with ${previous.concurrency} jobs`;
+
+        if (better || (!worse && concurrency < previous.concurrency)) {
+            // Keep going while it helps or costs nothing
+            this.previous = { concurrency, throughput };
+            const next = this.clamp(concurrency + this.direction);
+            return { concurrency: next, reason: next === concurrency ? `best at the limit, ${comparison}` : `improved, ${comparison}` };
+        }
+
+        // Slower, or just as fast with more jobs: step back and hold
+        this.direction = -this.direction;
+        this.previous = null;
+        this.hold = this.holdWindows;
+        return { concurrency: previous.concurrency, reason: `${worse ? 'slower' : 'no faster'}, ${comparison}` };
+    }
+}
+
+module.exports = ConcurrencyTuner;
@@ -0,0 +1,331 @@
+const http = require('http');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const colors = require('colors');
+
+const consoleLogger = require('../consoleLogger.js');
+
+const MAX_BODY = 1024 * 1024;
+
+/**
+ * Hands the queue of an Encoder out to remote workers over HTTP.
+ *
+ * Workers claim a video, report its progress (which doubles as a heartbeat)
+ * and finally its result. A video runs through the Encoder's usual
+ * processVideo() bookkeeping, only its process() waits for the worker instead
+ * of running the stages locally. Videos of workers that stop sending
+ * heartbeats go back to the queue.
+ *
+ *   POST /jobs/claim            { worker }                  -> job or 204
+ *   POST /jobs/:id/progress     { worker, stage, progress } -> { action }
+ *   POST /jobs/:id/finished     { worker, result }
+ *   POST /jobs/:id/failed       { worker, error, stage, stream, qualityGate, quality, stages, verification, checks }
+ *   POST /jobs/:id/release      { worker }
+ *   GET  /status
+ */
+class Coordinator extends EventEmitter {
+    constructor(encoder, options = {}) {
+        super();
+
+        this.encoder = encoder;
+        this.logger = options.logger || encoder.logger || consoleLogger;
+        this.port = options.port !== undefined ? options.port : 7265;
+        this.host = options.host || '0.0.0.0';
+        this.token = options.token || null;
+        this.leaseTimeout = options.leaseTimeout || 60000;
+
+        this.leases = new Map();
+        this.workers = new Map();
+        this.server = null;
+        this.leaseInterval = null;
+    }
+
+    /**
+     * Start accepting workers, resolves the bound address
+     */
+    listen() {
+        this.server = http.createServer((request, response) => {
+            this.handle(request, response).catch(error => {
+                this.logger.debug('Coordinator request failed:', error.message);
+                this.send(response, error.status || 500, { error: error.message });
+            });
+        });
+
+        this.leaseInterval = setInterval(() => this.expireLeases(), Math.min(this.leaseTimeout / 2, 10000));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                const address = this.server.address();
+                this.logger.info(`Coordinator listening on ${colors.yellow(address.address + ':' + address.port)}`);
+                resolve(address);
+            });
+        });
+    }
+
+    /**
+     * Stop accepting workers, running videos are left to Encoder.stop()
+     */
+    close() {
+        clearInterval(this.leaseInterval);
+        this.leaseInterval = null;
+
+        if (!this.server) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handle(request, response) {
+        if (this.token && request.headers.authorization !== `Bearer ${this.token}`) {
+            return this.send(response, 401, { error: 'Invalid token' });
+        }
+
+        if (request.method === 'GET' && request.url === '/status') {
+            return this.send(response, 200, this.getStatus());
+        }
+
+        if (request.method !== 'POST') {
+            return this.send(response, 404, { error: 'Not found' });
+        }
+
+        const body = await this.readBody(request);
+        const worker = this.seen(body.worker);
+
+        if (request.url === '/jobs/claim') {
+            const job = await this.claim(worker);
+            return job ? this.send(response, 200, job) : this.send(response, 204);
+        }
+
+        const match = /^\/jobs\/(\d+)\/(progress|finished|failed|release)$/.exec(request.url);
+        if (!match) {
+            return this.send(response, 404, { error: 'Not found' });
+        }
+
+        // Leases that expired or were revoked tell the worker to give up
+        const lease = this.leases.get(parseInt(match[1], 10));
+        if (!lease || lease.worker !== worker.name) {
+            return this.send(response, 410, { error: 'Job is no longer assigned to this worker' });
+        }
+        lease.lastSeen = Date.now();
+
+        switch (match[2]) {
+            case 'progress':
+                this.progress(lease, body);
+                return this.send(response, 200, { action: lease.action });
+            case 'finished':
+                this.finished(lease, body.result || {});
+                break;
+            case 'failed':
+                this.failed(lease, body);
+                break;
+            case 'release':
+                this.release(lease, new Error(`Released by worker ${worker.name}`));
+                break;
+        }
+
+        this.send(response, 200, {});
+    }
+
+    readBody(request) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            request.setEncoding('utf8');
+            request.on('data', chunk => {
+                data += chunk;
+                if (data.length > MAX_BODY) {
+                    request.destroy();
+                    reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                }
+            });
+            request.on('end', () => {
+                try {
+                    resolve(data ? JSON.parse(data) : {});
+                } catch (error) {
+                    reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+                }
+            });
+            request.on('error', reject);
+        });
+    }
+
+    send(response, status, body) {
+        if (response.headersSent) {
+            return;
+        }
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(body === undefined ? undefined : JSON.stringify(body));
+    }
+
+    /**
+     * Remember when a worker was last heard of, for the status page
+     */
+    seen(name) {
+        if (!name) {
+            throw Object.assign(new Error('Missing worker name'), { status: 400 });
+        }
+
+        let worker = this.workers.get(name);
+        if (!worker) {
+            worker = { name, jobs: 0, completed: 0, failed: 0 };
+            this.workers.set(name, worker);
+            this.logger.info(`Worker ${colors.yellow(name)} connected.`);
+            this.emit('workerConnected', { worker: name });
+        }
+        worker.lastSeen = Date.now();
+        return worker;
+    }
+
+    /**
+     * Hand the next queued video to a worker, null when there is nothing the
+     * encoder would start right now
+     */
+    async claim(worker) {
+        const encoder = this.encoder;
+        const video = await encoder.takeNextVideo(true);
+        if (!video) {
+            return null;
+        }
+
+        const lease = {
+            id: video.id,
+            video,
+            worker: worker.name,
+            action: 'continue',
+            lastSeen: Date.now()
+        };
+        this.leases.set(video.id, lease);
+        worker.jobs++;
+
+        // The worker runs the stages, this copy only waits for its reports
+        video.process = () => new Promise((resolve, reject) => {
+            lease.resolve = resolve;
+            lease.reject = reject;
+        });
+        video.stop = () => this.release(lease, new Error('Stopped prematurely.'));
+        video.pause = () => {
+            lease.action = 'pause';
+        };
+        video.resume = () => {
+            lease.action = 'continue';
+        };
+        video.setThreadShare = () => {};
+
+        encoder.processVideo(video).catch(error => {
+            this.logger.error(`Unhandled error processing ${video.path}:`, error);
+        });
+
+        this.logger.info(`Assigned ${colors.yellow(path.basename(video.path))} to worker ${colors.yellow(worker.name)}.`);
+        this.emit('jobAssigned', {
+            video: video.path,
+            id: video.id,
+            worker: worker.name
+        });
+
+        return {
+            id: video.id,
+            path: video.job.path,
+            options: video.job.options,
+            priority: video.job.priority,
+            keptOriginals: encoder.keptOriginals.filter(kept => kept.path === path.resolve(video.job.path))
+        };
+    }
+
+    progress(lease, body) {
+        const video = lease.video;
+        if (body.stage && body.stage.name !== video.currentStage.name) {
+            video.currentStage = body.stage;
+            video.events.emit('stage', body.stage.name);
+        }
+        if (body.progress) {
+            video.progress = body.progress;
+            video.events.emit('progress', body.progress);
+        }
+    }
+
+    finished(lease, result) {
+        const video = lease.video;
+        video.inputSize = result.inputSize;
+        video.outputSize = result.outputSize;
+        video.output.path = result.output || video.output.path;
+        video.metadata = { format: { duration: result.duration } };
+        video.x265Options = result.x265Options || '';
+        video.qualitySearch = result.qualitySearch || null;
+        video.verification = result.verification || null;
+        video.checks = result.checks || null;
+        video.keepOriginal = result.keptOriginal || null;
+        video.stageTimings = result.stages || {};
+
+        this.leases.delete(lease.id);
+        this.workers.get(lease.worker).completed++;
+        lease.resolve();
+    }
+
+    failed(lease, body) {
+        const video = lease.video;
+        const error = new Error(body.error || 'Worker failed without a reason');
+        error.stream = body.stream;
+        error.qualityGate = !!body.qualityGate;
+
+        // The CRF the worker encoded at, e.g. picked by --target-quality, so
+        // a retry steps down from it
+        if (body.quality !== undefined) {
+            video.options.quality = body.quality;
+        }
+        video.currentStage = body.stage || video.currentStage;
+        video.stageTimings = body.stages || {};
+        video.verification = body.verification || null;
+        video.checks = body.checks || null;
+
+        this.leases.delete(lease.id);
+        this.workers.get(lease.worker).failed++;
+        lease.reject(error);
+    }
+
+    /**
+     * Take a video back from its worker. The Encoder requeues it unless it
+     * was cancelled or the encoder is stopping.
+     */
+    release(lease, error) {
+        if (!this.leases.has(lease.id)) {
+            return;
+        }
+
+        this.leases.delete(lease.id);
+        lease.video.requeue = true;
+        lease.reject(error);
+    }
+
+    expireLeases() {
+        const now = Date.now();
+        for (const lease of this.leases.values()) {
+            if (now - lease.lastSeen > this.leaseTimeout) {
+                this.logger.warn(`Worker ${colors.yellow(lease.worker)} stopped responding, requeueing ${colors.yellow(path.basename(lease.video.path))}.`);
+                this.emit('workerLost', {
+                    worker: lease.worker,
+                    video: lease.video.path,
+                    id: lease.id
+                });
+                this.release(lease, new Error(`Worker ${lease.worker} stopped responding`));
+            }
+        }
+    }
+
+    getStatus() {
+        return {
+            encoder: this.encoder.getStatus(),
+            workers: Array.from(this.workers.values()),
+            jobs: Array.from(this.leases.values()).map(lease => ({
+                id: lease.id,
+                video: lease.video.path,
+                worker: lease.worker,
+                stage: lease.video.currentStage.name,
+                progress: lease.video.progress || null
+            }))
+        };
+    }
+}
+
+module.exports = Coordinator;
@@ -0,0 +1,172 @@
+/**
+ * Picks the crop of a video from cropdetect results of many sampled frames.
+ *
+ * Every frame votes with the box its content fills. The crop is the box that
+ * holds the content of all but a few percent of the frames, so a single
+ * bright or dark frame can't widen or narrow it. Videos that switch between
+ * aspect ratios, such as IMAX scenes in a letterboxed film, are left
+ * uncropped.
+ */
+class CropDetector {
+    constructor(options = {}) {
+        this.width = options.width;
+        this.height = options.height;
+        this.round = options.round || 2;
+        this.percentile = options.percentile !== undefined ? options.percentile : 5;
+        this.minConfidence = options.minConfidence !== undefined ? options.minConfidence : 0.5;
+        this.minSamples = options.minSamples || 5;
+
+        // Sides further apart than this share of the frame count as another
+        // aspect ratio rather than noise
+        this.tolerance = options.tolerance !== undefined ? options.tolerance : 0.02;
+
+        if (!(this.width > 0) || !(this.height > 0)) {
+            throw new Error('Crop detection needs the frame size');
+        }
+        if (this.round % 2) {
+            throw new Error(`Crop rounding has to be even, not ${this.round}`);
+        }
+    }
+
+    /**
+     * Filters sampling a frame every `interval` seconds and detecting the
+     * crop of each sampled frame on its own
+     */
+    static filters(interval) {
+        return [
+            `select='isnan(prev_selected_t)+gte(t-prev_selected_t\\,${interval})'`,
+            'cropdetect=limit=0.094:round=2:reset=1'
+        ];
+    }
+
+    /**
+     * Box of a cropdetect log line, null for other lines
+     */
+    static parseLine(line) {
+        const match = /cropdetect.*crop=(-?\d+):(-?\d+):(-?\d+):(-?\d+)/.exec(line);
+        if (!match) {
+            return null;
+        }
+        return {
+            width: parseInt(match[1], 10),
+            height: parseInt(match[2], 10),
+            x: parseInt(match[3], 10),
+            y: parseInt(match[4], 10)
+        };
+    }
+
+    /**
+     * A manual crop, "w:h:x:y" or a centered "w:h"
+     */
+    parse(crop) {
+        const values = String(crop).split(':').map(value => parseInt(value, 10));
+        if ((values.length !== 2 && values.length !== 4) || values.some(value => isNaN(value) || value < 0)) {
+            throw new Error(`Invalid crop ${crop}, use w:h:x:y or w:h`);
+        }
+
+        const [width, height] = values;
+        const x = values.length === 4 ? values[2] : Math.floor((this.width - width) / 4) * 2;
+        const y = values.length === 4 ? values[3] : Math.floor((this.height - height) / 4) * 2;
+        if (!width || !height || x + width > this.width || y + height > this.height) {
+            throw new Error(`Crop ${crop} does not fit the ${this.width}x${this.height} frame`);
+        }
+        return { width, height, x, y };
+    }
+
+    /**
+     * Resolves { crop, confidence, samples, mixed, reason }. `crop` is null
+     * when the video should not be cropped, `reason` says why.
+     */
+    choose(detections) {
+        // Black frames make cropdetect report empty or inverted boxes
+        const boxes = detections
+            .filter(box => box.width >= this.width / 4 && box.height >= this.height / 4)
+            .map(box => ({
+                left: box.x,
+                top: box.y,
+                right: box.x + box.width,
+                bottom: box.y + box.height
+            }));
+        const result = {
+            crop: null,
+            confidence: 0,
+            samples: boxes.length,
+            mixed: false,
+            reason: null
+        };
+
+        if (boxes.length < this.minSamples) {
+            result.reason = `only ${boxes.length} usable frames`;
+            return result;
+        }
+
+        const sides = (side) => boxes.map(box => box[side]).sort((a, b) => a - b);
+        const outer = {
+            left: CropDetector.quantile(sides('left'), this.percentile / 100),
+            top: CropDetector.quantile(sides('top'), this.percentile / 100),
+            right: CropDetector.quantile(sides('right'), 1 - this.percentile / 100),
+            bottom: CropDetector.quantile(sides('bottom'), 1 - this.percentile / 100)
+        };
+        const median = {
+            left: CropDetector.quantile(sides('left'), 0.5),
+            top: CropDetector.quantile(sides('top'), 0.5),
+            right: CropDetector.quantile(sides('right'), 0.5),
+            bottom: CropDetector.quantile(sides('bottom'), 0.5)
+        };
+
+        // Enough frames reach well beyond what most frames fill
+        const toleranceX = this.width * this.tolerance;
+        const toleranceY = this.height * this.tolerance;
+        if (median.left - outer.left > toleranceX || outer.right - median.right > toleranceX ||
+            median.top - outer.top > toleranceY || outer.bottom - median.bottom > toleranceY) {
+            result.mixed = true;
+            result.reason = 'mixed aspect ratios';
+            return result;
+        }
+
+        // Share of frames whose sides all lie within the tolerance of the crop
+        const agreeing = boxes.filter(box => Math.abs(box.left - outer.left) <= toleranceX &&
+            Math.abs(box.right - outer.right) <= toleranceX &&
+            Math.abs(box.top - outer.top) <= toleranceY &&
+            Math.abs(box.bottom - outer.bottom) <= toleranceY);
+        result.confidence = Number((agreeing.length / boxes.length).toFixed(3));
+        if (result.confidence < this.minConfidence) {
+            result.reason = `confidence ${result.confidence} is below ${this.minConfidence}`;
+            return result;
+        }
+
+        const crop = this.roundCrop(outer);
+        if (crop.width === this.width && crop.height === this.height) {
+            result.reason = 'no borders';
+            return result;
+        }
+
+        result.crop = crop;
+        return result;
+    }
+
+    /**
+     * Grow a box to multiples of the rounding, keeping it centered on the
+     * content, on even offsets and inside the frame
+     */
+    roundCrop(box) {
+        const grow = (start, end, size) => {
+            const length = Math.min(size - size % 2, Math.ceil((end - start) / this.round) * this.round);
+            const offset = Math.floor((start - (length - (end - start)) / 2) / 2) * 2;
+            return [Math.max(0, Math.min(offset, size - length)), length];
+        };
+
+        const [x, width] = grow(box.left, box.right, this.width);
+        const [y, height] = grow(box.top, box.bottom, this.height);
+        return { width, height, x, y };
+    }
+
+    /**
+     * Value at a fraction of a sorted list
+     */
+    static quantile(sorted, fraction) {
+        return sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(fraction * (sorted.length - 1))))];
+    }
+}
+
+module.exports = CropDetector;
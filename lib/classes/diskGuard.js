@@ -0,0 +1,133 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+
+const DEFAULT_RATIO = 0.6;
+
+/**
+ * Predicts output sizes and checks the destination and temp directories have
+ * room for them
+ */
+class DiskGuard {
+    constructor(options = {}) {
+        this.reserve = options.reserve !== undefined ? options.reserve : 1024 * 1024 * 1024;
+        this.tempDir = options.tempDir || os.tmpdir();
+        this.interval = options.interval || 60000;
+    }
+
+    /**
+     * Closest existing directory, output directories are only created once
+     * their encode starts
+     */
+    static async existingDir(dir) {
+        let current = path.resolve(dir);
+        for (;;) {
+            try {
+                await fs.access(current);
+                return current;
+            } catch (error) {
+                const parent = path.dirname(current);
+                if (parent === current) {
+                    return current;
+                }
+                current = parent;
+            }
+        }
+    }
+
+    /**
+     * Free bytes on the filesystem holding `dir`, null where the platform
+     * can't tell
+     */
+    static async freeSpace(dir) {
+        if (typeof fs.statfs !== 'function') {
+            return null;
+        }
+
+        try {
+            const stats = await fs.statfs(await DiskGuard.existingDir(dir));
+            return stats.bavail * stats.bsize;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Output/input size ratio of the videos finished so far
+     */
+    static historicalRatio(finishedVideos) {
+        const measured = finishedVideos.filter(video => video.inputSize && video.outputSize);
+        if (!measured.length) {
+            return DEFAULT_RATIO;
+        }
+
+        const input = measured.reduce((sum, video) => sum + video.inputSize, 0);
+        const output = measured.reduce((sum, video) => sum + video.outputSize, 0);
+        return output / input;
+    }
+
+    /**
+     * Predicted output size of a video. Target bitrates are used as is,
+     * otherwise the source size (its bitrate times its duration) is scaled
+     * by the historical compression ratio. A 10% margin is added.
+     */
+    async estimateOutputSize(video, finishedVideos) {
+        const duration = video.metadata ? parseFloat(video.metadata.format.duration) : 0;
+        if (video.options.videoBitrate && duration) {
+            return video.options.videoBitrate * 1000 / 8 * duration * 1.1;
+        }
+
+        let inputSize = video.inputSize;
+        if (!inputSize) {
+            inputSize = (await fs.stat(video.path)).size;
+        }
+        return inputSize * DiskGuard.historicalRatio(finishedVideos) * 1.1;
+    }
+
+    /**
+     * Bytes a video still has to write, from the progress projection while
+     * encoding and from the estimate before that
+     */
+    async remainingSize(video, finishedVideos) {
+        const progress = video.progress;
+        if (progress && progress.projectedSize) {
+            return Math.max(0, progress.projectedSize - progress.outputSize);
+        }
+
+        const written = progress && progress.outputSize ? progress.outputSize : 0;
+        return Math.max(0, await this.estimateOutputSize(video, finishedVideos) - written);
+    }
+
+    /**
+     * Check there is room for every video in `videos` plus the reserve on the
+     * destination directory and for the reserve in the temp directory.
+     * Resolves the first directory without enough space, or null.
+     */
+    async check(videos, finishedVideos) {
+        // Sum up what is needed per filesystem, destinations usually share one
+        const needed = new Map();
+        const add = async (dir, bytes) => {
+            const existing = await DiskGuard.existingDir(dir);
+            const { dev } = await fs.stat(existing);
+            const entry = needed.get(dev) || { dir, bytes: 0 };
+            entry.bytes += bytes;
+            needed.set(dev, entry);
+        };
+
+        await add(this.tempDir, 0);
+        for (const video of videos) {
+            await add(video.output.dir, await this.remainingSize(video, finishedVideos));
+        }
+
+        for (const { dir, bytes } of needed.values()) {
+            const free = await DiskGuard.freeSpace(dir);
+            if (free !== null && free - bytes < this.reserve) {
+                return { dir, free, needed: bytes, reserve: this.reserve };
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = DiskGuard;
@@ -7,8 +7,21 @@ const colors = require('colors');
 const filesize = require('filesize');
 
 const Video = require('./video.js');
+const Journal = require('./journal.js');
+const RetryPolicy = require('./retryPolicy.js');
+const ThreadAllocator = require('./threadAllocator.js');
+const Schedule = require('./schedule.js');
+const SystemMonitor = require('./systemMonitor.js');
+const DiskGuard = require('./diskGuard.js');
+const BatchReport = require('./batchReport.js');
+const ConcurrencyTuner = require('./concurrencyTuner.js');
+const StageRegistry = require('./stageRegistry.js');
+const AnalysisCache = require('./analysisCache.js');
 const consoleLogger = require('../consoleLogger.js');
 
+// Encoding options recorded per video in the batch report
+const REPORT_SETTINGS = ['quality', 'videoBitrate', 'targetSize', 'preset', 'asPreset', 'bitdepth', 'multiPass', 'scale', 'heAudio', 'extraOptions'];
+
 /**
  * Optimized Encoder class with modern async/await patterns and performance improvements
  */
@@ -20,15 +33,74 @@ class OptimizedEncoder extends EventEmitter {
         this.queue = [];
         this.currentlyProcessing = new Set();
         this.failedVideos = [];
+        // Idle job slots lent to videos encoding in chunks
+        this.chunkSlots = new Set();
         this.finishedVideos = [];
         this.watchIgnore = [];
+
+        // Sources whose encodes were dropped for the original, by path and
+        // size, so later runs skip them
+        this.keptOriginals = [];
+        
+        // Per video results written at the end of the batch
+        this.report = options.report ? new BatchReport(options.report) : null;
+        
+        // Crop, interlace and loudness results of earlier runs
+        this.analysisCache = options.analysisCache ? new AnalysisCache({ dir: options.analysisCache, logger }) : null;
+        
+        // Custom stages added to every video
+        this.stageRegistry = new StageRegistry(logger);
+        
+        // Plan mode only analyses videos, nothing is encoded or journaled
+        this.plan = !!options.plan;
+        this.plans = [];
+        
+        // Remote encoders leave the queue to workers claiming videos through a Coordinator
+        this.remote = !!options.remote;
         
         // Performance optimizations
-        this.maxConcurrentJobs = options.maxConcurrentJobs || Math.min(os.cpus().length, 4);
+        this.maxConcurrentJobs = this.remote ? 0 : options.maxConcurrentJobs || Math.min(os.cpus().length, 4);
         this.enableMetadataCache = options.enableMetadataCache !== false;
         this.enableProgressReporting = options.enableProgressReporting !== false;
         this.memoryThreshold = options.memoryThreshold || 1024 * 1024 * 1024; // 1GB default
         
+        // Split CPU cores between parallel jobs, optionally pinned to NUMA nodes
+        this.threadAllocator = options.balanceThreads !== false && !this.remote ? new ThreadAllocator({ numa: options.numa }) : null;
+        
+        // Crash-safe queue state
+        this.journal = options.stateFile ? new Journal(options.stateFile, logger) : null;
+        
+        // Failed videos waiting for another attempt
+        this.retryPolicy = new RetryPolicy(options.retry);
+        this.retrying = new Set();
+        
+        // Allowed time windows and session limits
+        this.schedule = options.schedule ? new Schedule(options.schedule) : null;
+        this.schedulePaused = false;
+        this.scheduleHold = false;
+        this.sessionLimit = null;
+        this.session = { startTime: null, files: 0, bytes: 0 };
+        
+        // Pause or scale back jobs while the machine is busy, hot or short on memory
+        this.configuredConcurrentJobs = this.maxConcurrentJobs;
+        this.systemMonitor = options.throttle ? new SystemMonitor(options.throttle) : null;
+        this.throttleCheckInterval = (options.throttle && options.throttle.interval) || 10000;
+        this.throttled = new Set();
+        this.lastConcurrencyChange = 0;
+        
+        // Look for the number of parallel jobs with the best throughput
+        this.tuner = options.adaptive && !this.remote ? new ConcurrencyTuner(options.adaptive) : null;
+        this.tuneInterval = (options.adaptive && options.adaptive.interval) || 30000;
+        if (this.tuner) {
+            this.maxConcurrentJobs = this.configuredConcurrentJobs = this.tuner.clamp(this.maxConcurrentJobs);
+        }
+        
+        // Keep room for outputs on the destination and temp disks
+        this.diskGuard = options.diskSpace !== false && !this.plan ? new DiskGuard(options.diskSpace) : null;
+        this.diskLow = null;
+        this.diskPaused = false;
+        this.lastDiskCheck = 0;
+        
         // Hardware acceleration detection
         this.potentialHWAccelSupport = false;
         this.supportedHWAccel = [];
@@ -37,6 +109,10 @@ class OptimizedEncoder extends EventEmitter {
         this.running = false;
         this.paused = false;
         this.shuttingDown = false;
+        this.draining = false;
+        this.finishing = false;
+        this.processingQueue = false;
+        this.reservedVideo = null;
         
         // Performance metrics
         this.metrics = {
@@ -133,21 +209,44 @@ class OptimizedEncoder extends EventEmitter {
     }
 
     /**
-     * Add video to encoding queue with optimized path handling
+     * Add video to encoding queue with optimized path handling. Videos with a
+     * higher options.priority are processed first (default 0).
      */
     async addVideo(videoPath, options = {}) {
+        const { priority = 0, ...videoOptions } = options;
+
         try {
+            // Skip videos a previous run already finished, unless they are
+            // meant to be encoded again
+            const resolved = path.resolve(videoPath);
+            if (!videoOptions.override && this.finishedVideos.some(finished => path.resolve(finished.path) === resolved)) {
+                this.logger.verbose(`Already processed, skipping: ${colors.yellow(path.basename(videoPath))}. Use --override to encode it again.`);
+                return null;
+            }
+
+            // Don't queue the same file twice (restored state + rescanned input)
+            const existing = this.findJob(videoPath);
+            if (existing) {
+                return existing;
+            }
+
             // Validate file existence and permissions
             await fs.access(videoPath, fs.constants.R_OK);
             
-            const video = new Video(videoPath, {
-                ...options,
-                hwAccel: this.supportedHWAccel,
-                enableCache: this.enableMetadataCache
-            });
+            const video = this.createVideo(videoPath, videoOptions, priority);
+
+            // A failed video that is added again gets a fresh attempt
+            this.failedVideos = this.failedVideos.filter(failed => failed.path !== videoPath);
             
-            this.queue.push(video);
+            this.enqueue(video);
             this.logger.verbose(`Added to queue: ${colors.yellow(path.basename(videoPath))}`);
+            this.emit('videoAdded', {
+                video: video.path,
+                id: video.id,
+                priority,
+                position: this.queue.indexOf(video)
+            });
+            this.saveState();
             
             // Auto-start processing if running
             if (this.running && !this.paused) {
@@ -161,6 +260,256 @@ class OptimizedEncoder extends EventEmitter {
         }
     }
 
+    /**
+     * Create a Video bound to this encoder, remembering how it was added
+     */
+    createVideo(videoPath, options, priority = 0) {
+        const video = new Video(videoPath, {
+            ...options,
+            hwAccel: this.supportedHWAccel,
+            enableCache: this.enableMetadataCache
+        });
+        video.encoder = this;
+        video.job = { path: videoPath, options, priority };
+        return this.stageRegistry.apply(video);
+    }
+
+    /**
+     * Add a custom stage to every video added from now on, see Video#addStage
+     */
+    addStage(stage, position) {
+        this.stageRegistry.addStage(stage, position);
+        return this;
+    }
+
+    /**
+     * Remove a stage from every video added from now on
+     */
+    removeStage(name) {
+        this.stageRegistry.removeStage(name);
+        return this;
+    }
+
+    /**
+     * Load stage plugins from npm modules or paths, see StageRegistry
+     */
+    loadStagePlugins(modules, basedir) {
+        this.stageRegistry.load(modules, basedir);
+        return this;
+    }
+
+    /**
+     * Fresh Video for another run of the same job, a Video only runs once
+     */
+    recreateVideo(video, options = video.job.options) {
+        const fresh = this.createVideo(video.job.path, options, video.job.priority);
+        fresh.job.attempts = video.job.attempts;
+        return fresh;
+    }
+
+    /**
+     * Insert a video behind every queued video of equal or higher priority
+     */
+    enqueue(video) {
+        const index = this.queue.findIndex(queued => queued.job.priority < video.job.priority);
+        if (index === -1) {
+            this.queue.push(video);
+        } else {
+            this.queue.splice(index, 0, video);
+        }
+    }
+
+    /**
+     * Find a queued or running video by its id
+     */
+    getVideo(id) {
+        return this.getJobs().find(video => video.id === id);
+    }
+
+    /**
+     * All queued, running and retrying videos
+     */
+    getJobs() {
+        return this.queue.concat(Array.from(this.currentlyProcessing), Array.from(this.retrying));
+    }
+
+    /**
+     * Move a queued video to a new position in the queue. Its priority is
+     * adjusted to fit between its new neighbours.
+     */
+    moveVideo(id, position) {
+        const index = this.queue.findIndex(video => video.id === id);
+        if (index === -1) {
+            throw new Error(`Video ${id} is not queued`);
+        }
+
+        const [video] = this.queue.splice(index, 1);
+        position = Math.max(0, Math.min(position, this.queue.length));
+        this.queue.splice(position, 0, video);
+
+        const previous = this.queue[position - 1];
+        const next = this.queue[position + 1];
+        if (previous && video.job.priority > previous.job.priority) {
+            video.job.priority = previous.job.priority;
+        }
+        if (next && video.job.priority < next.job.priority) {
+            video.job.priority = next.job.priority;
+        }
+
+        this.logger.verbose(`Moved ${colors.yellow(path.basename(video.path))} to queue position ${position + 1}.`);
+        this.emit('videoMoved', {
+            video: video.path,
+            id,
+            from: index,
+            position,
+            priority: video.job.priority
+        });
+        this.saveState();
+
+        return video;
+    }
+
+    /**
+     * Remove a queued video. Running videos have to be cancelled instead.
+     */
+    removeVideo(id) {
+        const index = this.queue.findIndex(video => video.id === id);
+        if (index === -1) {
+            throw new Error(`Video ${id} is not queued`);
+        }
+
+        const [video] = this.queue.splice(index, 1);
+
+        this.logger.verbose(`Removed from queue: ${colors.yellow(path.basename(video.path))}`);
+        this.emit('videoRemoved', {
+            video: video.path,
+            id
+        });
+        this.saveState();
+
+        return video;
+    }
+
+    /**
+     * Cancel a single video. Queued videos are removed, running videos are
+     * stopped without affecting the rest of the batch.
+     */
+    async cancelVideo(id) {
+        const video = this.getVideo(id);
+        if (!video) {
+            throw new Error(`Video ${id} is not queued or running`);
+        }
+
+        if (this.retrying.has(video)) {
+            clearTimeout(video.retryTimer);
+            this.retrying.delete(video);
+            this.saveState();
+        } else if (!this.currentlyProcessing.has(video)) {
+            this.removeVideo(id);
+        } else {
+            video.cancelled = true;
+            if (typeof video.stop === 'function') {
+                await video.stop();
+            }
+        }
+
+        this.logger.info(`Cancelled: ${colors.yellow(path.basename(video.path))}`);
+        this.emit('videoCancelled', {
+            video: video.path,
+            id
+        });
+
+        return video;
+    }
+
+    /**
+     * Find a queued or running video by its source path
+     */
+    findJob(videoPath) {
+        return this.getJobs().find(video => video.job.path === videoPath);
+    }
+
+    /**
+     * Restore the queue and results saved by a previous run
+     */
+    async restoreState() {
+        if (!this.journal) {
+            return 0;
+        }
+
+        const state = await this.journal.load();
+        if (!state) {
+            return 0;
+        }
+
+        this.finishedVideos.push(...state.finished);
+        this.failedVideos.push(...state.failed);
+        this.watchIgnore.push(...state.watchIgnore);
+        this.keptOriginals.push(...(state.keptOriginals || []));
+
+        let restored = 0;
+        for (const job of state.queue) {
+            if (job.status === 'running') {
+                this.logger.warn(`Retrying ${colors.yellow(path.basename(job.path))}, it was interrupted while ${job.stage}.`);
+
+                // Remove leftovers of the interrupted run, they would block the retry
+                await Promise.all(job.temp.map(file => fs.rm(file, { force: true })));
+            }
+
+            try {
+                const video = await this.addVideo(job.path, { ...job.options, priority: job.priority });
+                if (video && job.attempts) {
+                    video.job.attempts = job.attempts;
+                }
+                restored++;
+            } catch (error) {
+                // Already logged by addVideo
+            }
+        }
+
+        this.logger.info(`Restored ${restored} queued videos and ${state.finished.length} finished videos from ${this.journal.path}.`);
+        return restored;
+    }
+
+    /**
+     * Snapshot of the queue and results for the state file
+     */
+    getState() {
+        const running = Array.from(this.currentlyProcessing).map(video => ({
+            ...video.job,
+            status: 'running',
+            stage: video.currentStage.action,
+            temp: [...video.temp.files]
+        }));
+        const queued = this.queue.concat(Array.from(this.retrying)).map(video => ({
+            ...video.job,
+            status: 'queued'
+        }));
+
+        return {
+            queue: running.concat(queued),
+            finished: this.finishedVideos,
+            failed: this.failedVideos,
+            watchIgnore: this.watchIgnore,
+            keptOriginals: this.keptOriginals
+        };
+    }
+
+    /**
+     * Journal the current state, failures are logged but never fatal
+     */
+    async saveState() {
+        if (!this.journal || this.plan) {
+            return;
+        }
+
+        try {
+            await this.journal.save(this.getState());
+        } catch (error) {
+            this.logger.warn(`Unable to save state file ${this.journal.path}: ${error.message}`);
+        }
+    }
+
     /**
      * Start the encoder with improved concurrency control
      */
@@ -173,37 +522,329 @@ class OptimizedEncoder extends EventEmitter {
         this.paused = false;
         this.shuttingDown = false;
         this.metrics.startTime = Date.now();
+        this.session = { startTime: Date.now(), files: 0, bytes: 0 };
+        this.sessionLimit = null;
+        this.draining = false;
+        this.finishing = false;
 
-        this.logger.info(`Starting encoder with ${this.maxConcurrentJobs} concurrent jobs...`);
+        this.logger.info(this.remote ? 'Starting encoder, videos are handed out to remote workers...' : `Starting encoder with ${this.maxConcurrentJobs} concurrent jobs...`);
         this.emit('started');
 
+        if (this.systemMonitor) {
+            this.throttleInterval = setInterval(() => this.checkSystemLoad(), this.throttleCheckInterval);
+        }
+
+        if (this.tuner) {
+            this.tunerInterval = setInterval(() => this.tuneConcurrency(), this.tuneInterval);
+        }
+
+        if (this.schedule) {
+            this.scheduleInterval = setInterval(() => {
+                this.checkSchedule().catch(error => this.logger.error('Schedule error:', error.message));
+            }, 30000);
+            await this.checkSchedule();
+            if (this.paused) {
+                return;
+            }
+        }
+
         await this.processQueue();
     }
 
     /**
-     * Optimized queue processing with concurrency control
+     * Pause or resume according to the schedule's time windows and stop
+     * dequeuing once a session limit is reached
      */
-    async processQueue() {
-        while (this.running && !this.paused && !this.shuttingDown) {
-            // Check if we can start more jobs
-            if (this.currentlyProcessing.size >= this.maxConcurrentJobs || this.queue.length === 0) {
-                if (this.queue.length === 0 && this.currentlyProcessing.size === 0) {
-                    await this.finish();
-                    break;
+    async checkSchedule() {
+        if (!this.schedule || !this.running) {
+            return;
+        }
+
+        this.checkSessionLimits();
+
+        const open = this.schedule.isOpen();
+        if (!open && !this.schedulePaused && !this.scheduleHold && !this.paused) {
+            this.logger.alert('Outside of the scheduled encoding windows.' +
+                (this.schedule.pauseRunning ? ' Pausing...' : ' Running videos will finish, no new videos will be started.'));
+            this.emit('scheduleClosed');
+
+            if (this.schedule.pauseRunning) {
+                this.schedulePaused = true;
+                await this.pause();
+            } else {
+                this.scheduleHold = true;
+            }
+        } else if (open && (this.schedulePaused || this.scheduleHold)) {
+            this.logger.alert('Scheduled encoding window opened. Resuming...');
+            this.emit('scheduleOpened');
+            this.scheduleHold = false;
+
+            if (this.schedulePaused) {
+                this.schedulePaused = false;
+                if (this.paused) {
+                    await this.resume();
                 }
-                
-                // Wait for a job to complete before checking again
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                continue;
             }
+        }
+    }
 
-            // Start processing the next video
-            const video = this.queue.shift();
+    /**
+     * Stop dequeuing new videos once a session limit is reached, running
+     * videos finish and the rest of the queue is kept for the next session
+     */
+    checkSessionLimits() {
+        if (!this.schedule || this.sessionLimit) {
+            return;
+        }
+
+        const reason = this.schedule.limitReached(this.session);
+        if (reason) {
+            this.sessionLimit = reason;
+            this.logger.alert(`Session limit reached (${reason}). No new videos will be started.`);
+            this.emit('sessionLimitReached', {
+                reason,
+                files: this.session.files,
+                bytes: this.session.bytes,
+                queued: this.queue.length
+            });
+        }
+    }
+
+    /**
+     * Throttle on high load, heat or low memory and add jobs back once the
+     * system recovers. Running jobs are paused one per check on critical
+     * readings, concurrency changes wait for the one minute load average to
+     * catch up.
+     */
+    checkSystemLoad() {
+        if (!this.systemMonitor || !this.running || this.paused) {
+            return;
+        }
+
+        const sample = this.systemMonitor.sample();
+        const { level, reason } = this.systemMonitor.evaluate(sample);
+        const canChangeConcurrency = Date.now() - this.lastConcurrencyChange >= 60000;
+
+        if (level === 'critical') {
+            // Pause the most recently started job first
+            const video = Array.from(this.currentlyProcessing).reverse().find(running => !this.throttled.has(running));
             if (video) {
+                this.throttled.add(video);
+                video.pause();
+                this.logger.warn(`Pausing ${colors.yellow(path.basename(video.path))}: ${reason}.`);
+                this.emit('throttled', { action: 'pause', video: video.path, id: video.id, reason, sample });
+            }
+        }
+
+        if ((level === 'critical' || level === 'high') && canChangeConcurrency && this.maxConcurrentJobs > 1) {
+            this.maxConcurrentJobs--;
+            this.lastConcurrencyChange = Date.now();
+            this.logger.warn(`Reduced concurrent jobs to ${this.maxConcurrentJobs}: ${reason}.`);
+            this.emit('throttled', { action: 'reduce', concurrent: this.maxConcurrentJobs, reason, sample });
+        }
+
+        if (level === 'normal') {
+            const [video] = this.throttled;
+            if (video) {
+                this.throttled.delete(video);
+                video.resume();
+                this.logger.info(`Resuming ${colors.yellow(path.basename(video.path))}: ${reason}.`);
+                this.emit('recovered', { action: 'resume', video: video.path, id: video.id, sample });
+            } else if (canChangeConcurrency && this.maxConcurrentJobs < this.configuredConcurrentJobs) {
+                this.maxConcurrentJobs++;
+                this.lastConcurrencyChange = Date.now();
+                this.logger.info(`Raised concurrent jobs to ${this.maxConcurrentJobs}: ${reason}.`);
+                this.emit('recovered', { action: 'raise', concurrent: this.maxConcurrentJobs, sample });
+            }
+        }
+    }
+
+    /**
+     * Whether `video` can be started next to the running videos without
+     * eating into the disk reserve. Logs an alert once while space is short.
+     */
+    async hasDiskSpace(video) {
+        if (!this.diskGuard || !video) {
+            return true;
+        }
+
+        this.lastDiskCheck = Date.now();
+        const shortage = await this.diskGuard.check(Array.from(this.currentlyProcessing).concat(video), this.finishedVideos);
+        if (!shortage) {
+            if (this.diskLow) {
+                this.logger.info('Disk space available again, continuing...');
+                this.diskLow = null;
+            }
+            return true;
+        }
+
+        if (!this.diskLow) {
+            this.diskLow = shortage;
+            this.logger.alert(`Not enough disk space to start ${colors.yellow(path.basename(video.path))}: ` +
+                `${filesize(shortage.free)} free in ${colors.yellow(shortage.dir)}, ${filesize(shortage.needed)} needed plus a ${filesize(shortage.reserve)} reserve. ` +
+                'Waiting for space to be freed...');
+            this.emit('diskSpaceLow', { video: video.path, ...shortage });
+        }
+        return false;
+    }
+
+    /**
+     * Pause the encoder when running videos are projected to eat into the
+     * disk reserve, resume once there is room again
+     */
+    async checkDiskSpace() {
+        if (!this.diskGuard) {
+            return;
+        }
+
+        this.lastDiskCheck = Date.now();
+        const shortage = await this.diskGuard.check(Array.from(this.currentlyProcessing), this.finishedVideos);
+
+        if (shortage && !this.diskPaused && this.running && !this.paused) {
+            this.logger.alert(`Running out of disk space in ${colors.yellow(shortage.dir)}: ${filesize(shortage.free)} free, ` +
+                `${filesize(shortage.needed)} more projected plus a ${filesize(shortage.reserve)} reserve. Pausing until space is freed...`);
+            this.emit('diskSpaceLow', shortage);
+
+            this.diskPaused = true;
+            await this.pause();
+            this.diskInterval = setInterval(() => {
+                this.checkDiskSpace().catch(error => this.logger.debug('Disk space check failed:', error.message));
+            }, this.diskGuard.interval);
+        } else if (!shortage && this.diskPaused) {
+            this.logger.info('Disk space available again, resuming...');
+            this.diskPaused = false;
+            clearInterval(this.diskInterval);
+            this.diskInterval = null;
+
+            if (this.paused) {
+                await this.resume();
+            }
+        }
+    }
+
+    /**
+     * Sample the total encoding speed and let the tuner adjust the number of
+     * parallel jobs. Only full, unthrottled runs are comparable.
+     */
+    tuneConcurrency() {
+        if (!this.tuner || !this.running || this.paused || this.throttled.size || !this.canStartJobs() ||
+            this.currentlyProcessing.size < this.maxConcurrentJobs || this.queue.length === 0) {
+            return;
+        }
+
+        const encoding = Array.from(this.currentlyProcessing).filter(video => video.currentStage.name === 'Encode' && video.progress);
+        if (!encoding.length) {
+            return;
+        }
+
+        // Speed is encoded seconds per wall-clock second of each job
+        const throughput = encoding.reduce((sum, video) => sum + (parseFloat(video.progress.speed) || 0), 0);
+        const decision = this.tuner.sample(this.maxConcurrentJobs, throughput);
+        if (!decision) {
+            return;
+        }
+
+        if (!decision.changed) {
+            this.logger.verbose(`Keeping ${decision.concurrency} concurrent jobs: ${decision.reason}.`);
+            return;
+        }
+
+        this.maxConcurrentJobs = this.configuredConcurrentJobs = decision.concurrency;
+        this.lastConcurrencyChange = Date.now();
+        this.logger.info(`${decision.concurrency > decision.previous ? 'Raised' : 'Reduced'} concurrent jobs to ${decision.concurrency}: ${decision.reason}.`);
+        this.emit('concurrencyChanged', {
+            concurrent: decision.concurrency,
+            previous: decision.previous,
+            throughput: decision.throughput,
+            reason: decision.reason
+        });
+    }
+
+    /**
+     * Whether new videos may be taken from the queue right now
+     */
+    canStartJobs() {
+        return !this.scheduleHold && !this.sessionLimit && !this.draining;
+    }
+
+    /**
+     * Whether the encoder may start another video of its own right now
+     */
+    canStartVideo() {
+        return this.running && !this.paused && !this.shuttingDown && this.queue.length > 0 && this.canStartJobs() &&
+            this.currentlyProcessing.size + this.chunkSlots.size < this.maxConcurrentJobs;
+    }
+
+    /**
+     * Take the next video off the queue when it can be started right now,
+     * null otherwise. The video is reserved while its disk space is checked,
+     * so only one caller checks at a time, and everything is checked again
+     * afterwards because the encoder may have been drained, held or filled
+     * up in the meantime. `remote` claims are limited by the workers' own
+     * jobs instead of maxConcurrentJobs.
+     */
+    async takeNextVideo(remote = false) {
+        const canStart = () => remote ?
+            this.remote && this.running && !this.paused && !this.shuttingDown && this.queue.length > 0 && this.canStartJobs() :
+            this.canStartVideo();
+
+        if (this.reservedVideo || !canStart()) {
+            return null;
+        }
+
+        const video = this.reservedVideo = this.queue[0];
+        let fits;
+        try {
+            fits = await this.hasDiskSpace(video);
+        } finally {
+            this.reservedVideo = null;
+        }
+
+        const index = this.queue.indexOf(video);
+        if (!fits || index === -1 || !canStart()) {
+            return null;
+        }
+        return this.queue.splice(index, 1)[0];
+    }
+
+    /**
+     * Start queued videos while there is room for them. Only one loop runs
+     * at a time, later calls (e.g. when a video finishes) leave the queue to
+     * it.
+     */
+    async processQueue() {
+        if (this.processingQueue) {
+            return;
+        }
+
+        this.processingQueue = true;
+        try {
+            while (this.running && !this.paused && !this.shuttingDown) {
+                if (!this.canStartVideo()) {
+                    const idle = this.currentlyProcessing.size === 0;
+                    if (idle && (this.sessionLimit || this.draining || (this.queue.length === 0 && this.retrying.size === 0))) {
+                        await this.finish();
+                        break;
+                    }
+
+                    // Wait for a job to complete before checking again
+                    await new Promise(resolve => setTimeout(resolve, 1000));
+                    continue;
+                }
+
+                // Make sure the next video fits on the destination disk
+                const video = await this.takeNextVideo();
+                if (!video) {
+                    await new Promise(resolve => setTimeout(resolve, 1000));
+                    continue;
+                }
+
                 this.processVideo(video).catch(error => {
                     this.logger.error(`Unhandled error processing ${video.path}:`, error);
                 });
             }
+        } finally {
+            this.processingQueue = false;
         }
     }
 
@@ -213,10 +854,19 @@ class OptimizedEncoder extends EventEmitter {
     async processVideo(video) {
         const startTime = Date.now();
         this.currentlyProcessing.add(video);
+        this.balanceThreads();
+        this.saveState();
 
         try {
             this.logger.info(`Starting: ${colors.yellow(path.basename(video.path))}`);
             
+            // Re-check disk space with the projected output sizes while encoding
+            video.on('progress', () => {
+                if (this.diskGuard && Date.now() - this.lastDiskCheck >= this.diskGuard.interval) {
+                    this.checkDiskSpace().catch(error => this.logger.debug('Disk space check failed:', error.message));
+                }
+            });
+
             // Setup progress reporting
             if (this.enableProgressReporting) {
                 video.on('progress', (progress) => {
@@ -229,27 +879,64 @@ class OptimizedEncoder extends EventEmitter {
                 });
             }
 
+            // Journal stage changes so an interrupted job can be retried
+            video.on('stage', () => this.saveState());
+
             // Process the video
             await video.process();
             
+            if (video.plan) {
+                this.plans.push(video.plan);
+                this.logger.info(`Planned: ${colors.green(path.basename(video.path))}`);
+                this.emit('videoPlanned', {
+                    video: video.path,
+                    id: video.id,
+                    plan: video.plan
+                });
+                return;
+            }
+            
             // Success handling
             const processingTime = Date.now() - startTime;
             this.updateProcessingMetrics(video, processingTime);
             
             this.finishedVideos.push({
-                path: video.path,
+                path: video.job.path,
+                output: video.output.path,
                 processingTime,
                 inputSize: video.inputSize,
                 outputSize: video.outputSize,
-                compressionRatio: video.outputSize / video.inputSize
+                compressionRatio: video.outputSize / video.inputSize,
+                ...this.describeVideo(video)
             });
 
+            if (video.keepOriginal) {
+                await this.rememberKeptOriginal(video);
+            }
+
             this.logger.info(`Completed: ${colors.green(path.basename(video.path))} in ${this.formatDuration(processingTime)}`);
             
         } catch (error) {
-            this.handleVideoError(video, error);
+            // Videos interrupted by stop() stay queued for the next run,
+            // cancelled videos are dropped
+            if (video.requeue && !this.shuttingDown && !video.cancelled) {
+                // Handed back without a result, e.g. by a remote worker
+                this.logger.verbose(`Requeueing ${colors.yellow(path.basename(video.path))}: ${error.message}`);
+                this.queue.unshift(this.recreateVideo(video));
+            } else if (!this.shuttingDown && !video.cancelled) {
+                this.handleVideoError(video, error);
+            }
         } finally {
             this.currentlyProcessing.delete(video);
+            this.throttled.delete(video);
+            this.balanceThreads();
+            this.saveState();
+
+            if (!this.shuttingDown && !video.cancelled && !video.requeue) {
+                this.session.files++;
+                this.session.bytes += video.inputSize || 0;
+                this.checkSessionLimits();
+            }
             
             // Continue processing queue
             if (this.running && !this.paused) {
@@ -262,14 +949,32 @@ class OptimizedEncoder extends EventEmitter {
      * Handle video processing errors with detailed logging
      */
     handleVideoError(video, error) {
+        const attempts = (video.job.attempts || []).concat({
+            attempt: (video.job.attempts || []).length + 1,
+            stage: video.currentStage?.name || 'Unknown',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+        const attempt = attempts[attempts.length - 1];
+
+        if (!this.plan && this.retryPolicy.shouldRetry(video, error, attempt.attempt)) {
+            try {
+                return this.scheduleRetry(video, error, attempts);
+            } catch (retryError) {
+                this.logger.error(`Unable to retry ${colors.red(path.basename(video.path))}: ${retryError.message}`);
+            }
+        }
+
         this.logger.error(`Failed to process ${colors.red(path.basename(video.path))}: ${error.message}`);
         
         this.failedVideos.push({
-            path: video.path,
+            path: video.job.path,
             base: path.basename(video.path),
             error: error.message,
-            timestamp: new Date().toISOString(),
-            stage: video.currentStage?.name || 'Unknown'
+            timestamp: attempt.timestamp,
+            stage: attempt.stage,
+            attempts,
+            ...this.describeVideo(video)
         });
 
         this.emit('videoFailed', {
@@ -278,6 +983,167 @@ class OptimizedEncoder extends EventEmitter {
         });
     }
 
+    /**
+     * Kept-original record of a source, null when its encode was never
+     * dropped or the file changed since
+     */
+    findKeptOriginal(videoPath, size) {
+        const resolved = path.resolve(videoPath);
+        return this.keptOriginals.find(kept => kept.path === resolved && kept.size === size) || null;
+    }
+
+    /**
+     * Remember a video whose encode was dropped for the original. A remux of
+     * the original is remembered as well, it takes over the source path with
+     * --delete.
+     */
+    async rememberKeptOriginal(video) {
+        const records = [{ path: path.resolve(video.job.path), size: video.inputSize }];
+        if (video.keepOriginal.action === 'remux') {
+            try {
+                const stats = await fs.stat(video.output.path);
+                records.push({ path: path.resolve(video.output.path), size: stats.size });
+            } catch (error) {
+                this.logger.debug('Unable to read the remuxed original:', error.message);
+            }
+        }
+
+        for (const record of records) {
+            this.keptOriginals = this.keptOriginals.filter(kept => kept.path !== record.path);
+            this.keptOriginals.push({ ...video.keepOriginal, ...record });
+        }
+        this.saveState();
+    }
+
+    /**
+     * Duration, settings and stage timings of a video for the batch report
+     */
+    describeVideo(video) {
+        const settings = {};
+        for (const key of REPORT_SETTINGS) {
+            if (video.options[key] !== undefined && video.options[key] !== false && video.options[key] !== '') {
+                settings[key] = video.options[key];
+            }
+        }
+        if (video.x265Options) {
+            settings.x265Options = video.x265Options;
+        }
+
+        return {
+            duration: video.metadata ? parseFloat(video.metadata.format.duration) : null,
+            settings,
+            stages: { ...video.stageTimings },
+            qualitySearch: video.qualitySearch || null,
+            verification: video.verification || null,
+            checks: video.checks || null,
+            keptOriginal: video.keepOriginal || null
+        };
+    }
+
+    /**
+     * Queue a fresh attempt of a failed video after the policy's backoff,
+     * using the next fallback settings
+     */
+    scheduleRetry(video, error, attempts) {
+        const attempt = attempts[attempts.length - 1];
+        const fallback = this.retryPolicy.getFallback(video, error, video.job.options, attempt.attempt);
+        const delay = this.retryPolicy.getDelay(attempt.attempt);
+        attempt.fallback = fallback.name;
+
+        const retry = this.recreateVideo(video, fallback.options);
+        retry.job.attempts = attempts;
+
+        this.logger.warn(`Attempt ${attempt.attempt} of ${colors.yellow(path.basename(video.path))} failed while ${video.currentStage.action}: ${error.message}. ` +
+            `Retrying in ${this.formatDuration(delay)}` + (fallback.name ? ` with fallback ${colors.yellow(fallback.name)}.` : '.'));
+
+        this.retrying.add(retry);
+        retry.retryTimer = setTimeout(() => {
+            this.retrying.delete(retry);
+            this.enqueue(retry);
+            this.saveState();
+
+            if (this.running && !this.paused) {
+                setImmediate(() => this.processQueue());
+            }
+        }, delay);
+
+        this.emit('videoRetry', {
+            video: video.path,
+            id: retry.id,
+            attempt: attempt.attempt + 1,
+            error: error.message,
+            fallback: fallback.name,
+            delay
+        });
+    }
+
+    /**
+     * Hand every running video its share of the CPU cores. Called whenever a
+     * job starts or finishes so running jobs grow or shrink with the batch.
+     * Lent chunk slots get a share of their own.
+     */
+    balanceThreads() {
+        if (!this.threadAllocator || this.currentlyProcessing.size === 0) {
+            return;
+        }
+
+        const videos = Array.from(this.currentlyProcessing);
+        const slots = Array.from(this.chunkSlots);
+        const shares = this.threadAllocator.allocate(videos.map(video => video.threadShare || {}).concat(slots.map(slot => slot.share || {})));
+
+        // Slots first, videos re-pin the chunks running in them
+        slots.forEach((slot, i) => {
+            slot.share = shares[videos.length + i];
+        });
+        videos.forEach((video, i) => {
+            this.logger.debug(`Thread share for ${path.basename(video.path)}: ${shares[i].threads} threads on CPUs ${shares[i].cpus.join(',')}` +
+                (this.threadAllocator.nodes.length > 1 ? ` (NUMA node ${shares[i].node})` : ''));
+            video.setThreadShare(shares[i]);
+        });
+    }
+
+    /**
+     * Lend an idle job slot to a video that encodes in chunks. Slots are only
+     * lent while no queued video could start in them, null when there is none.
+     */
+    claimChunkSlot(video) {
+        if (!this.running || this.paused || this.shuttingDown || (this.queue.length > 0 && this.canStartJobs()) || !this.currentlyProcessing.has(video) ||
+            this.currentlyProcessing.size + this.chunkSlots.size >= this.maxConcurrentJobs) {
+            return null;
+        }
+
+        const slot = { video, share: null };
+        this.chunkSlots.add(slot);
+        this.balanceThreads();
+        return slot;
+    }
+
+    /**
+     * Give a lent slot back, queued videos may start in it again
+     */
+    releaseChunkSlot(slot) {
+        if (!this.chunkSlots.delete(slot)) {
+            return;
+        }
+
+        this.balanceThreads();
+        if (this.running && !this.paused) {
+            setImmediate(() => this.processQueue());
+        }
+    }
+
+    /**
+     * Queue videos waiting for a retry right away, used when the session ends
+     * so they are saved for the next run
+     */
+    queueRetries() {
+        for (const video of this.retrying) {
+            clearTimeout(video.retryTimer);
+            this.enqueue(video);
+        }
+        this.retrying.clear();
+    }
+
     /**
      * Update processing metrics
      */
@@ -321,6 +1187,7 @@ class OptimizedEncoder extends EventEmitter {
         }
 
         this.paused = false;
+        this.throttled.clear();
         this.logger.info('Resuming encoder...');
 
         // Resume all paused videos
@@ -334,6 +1201,120 @@ class OptimizedEncoder extends EventEmitter {
         await this.processQueue();
     }
 
+    /**
+     * Let running videos finish normally but start no new ones. The encoder
+     * finishes once they are done and the remaining queue is kept in the
+     * state file for the next run.
+     */
+    async drain() {
+        if (!this.running) {
+            throw new Error('Encoder is not running');
+        }
+        if (this.draining) {
+            return;
+        }
+
+        this.draining = true;
+        this.logger.alert(`Draining: waiting for ${this.currentlyProcessing.size} running videos to finish, ${this.queue.length} queued videos will be kept for the next run.`);
+        this.emit('draining', {
+            processing: this.currentlyProcessing.size,
+            queued: this.queue.length
+        });
+        await this.saveState();
+
+        // Videos paused by hand or by the schedule could never finish, a full
+        // disk is left to the disk check
+        if (this.paused && !this.diskPaused) {
+            this.schedulePaused = false;
+            await this.resume();
+        }
+    }
+
+    /**
+     * Leave drain mode and continue with the queue
+     */
+    async cancelDrain() {
+        if (!this.draining) {
+            throw new Error('Encoder is not draining');
+        }
+
+        this.draining = false;
+        this.logger.info('Drain cancelled, continuing with the queue...');
+        this.emit('drainCancelled');
+
+        if (this.running && !this.paused) {
+            setImmediate(() => this.processQueue());
+        }
+    }
+
+    /**
+     * One entry per finished or failed video plus totals, see BatchReport
+     */
+    getReport(totalTime) {
+        const finished = this.finishedVideos.map(video => ({
+            path: video.path,
+            output: video.output,
+            status: 'finished',
+            inputSize: video.inputSize,
+            outputSize: video.outputSize,
+            ratio: video.compressionRatio,
+            duration: video.duration,
+            elapsed: video.processingTime,
+            settings: video.settings,
+            stages: video.stages,
+            qualitySearch: video.qualitySearch,
+            verification: video.verification,
+            checks: video.checks,
+            keptOriginal: video.keptOriginal
+        }));
+        const failed = this.failedVideos.map(video => ({
+            path: video.path,
+            status: 'failed',
+            duration: video.duration,
+            settings: video.settings,
+            stages: video.stages,
+            qualitySearch: video.qualitySearch,
+            verification: video.verification,
+            checks: video.checks,
+            error: `${video.stage}: ${video.error}`,
+            attempts: video.attempts
+        }));
+
+        const inputSize = this.finishedVideos.reduce((sum, video) => sum + (video.inputSize || 0), 0);
+        const outputSize = this.finishedVideos.reduce((sum, video) => sum + (video.outputSize || 0), 0);
+
+        return {
+            generated: new Date().toISOString(),
+            summary: {
+                processed: finished.length,
+                failed: failed.length,
+                queued: this.queue.length + this.retrying.size,
+                inputSize,
+                outputSize,
+                ratio: inputSize ? outputSize / inputSize : null,
+                totalTime
+            },
+            videos: finished.concat(failed)
+        };
+    }
+
+    /**
+     * Write the batch report, failures are logged but never fatal
+     */
+    async writeReport() {
+        if (!this.report || this.plan) {
+            return;
+        }
+
+        const totalTime = this.metrics.startTime ? Date.now() - this.metrics.startTime : 0;
+        try {
+            await this.report.write(this.getReport(totalTime));
+            this.logger.info(`Report written to ${colors.yellow(this.report.path)}`);
+        } catch (error) {
+            this.logger.warn(`Unable to write report ${this.report.path}: ${error.message}`);
+        }
+    }
+
     /**
      * Stop encoding with graceful shutdown
      */
@@ -352,12 +1333,21 @@ class OptimizedEncoder extends EventEmitter {
             }
         });
 
+        // Put interrupted videos back at the front of the queue
+        const interrupted = Array.from(this.currentlyProcessing).filter(video => !video.cancelled);
+
         await Promise.allSettled(stopPromises);
         
         this.running = false;
         this.paused = false;
         this.currentlyProcessing.clear();
+        this.chunkSlots.clear();
+        this.queue.unshift(...interrupted.map(video => this.recreateVideo(video)));
+
+        this.queueRetries();
         
+        await this.saveState();
+        await this.writeReport();
         this.cleanup();
         this.emit('stopped');
     }
@@ -366,9 +1356,22 @@ class OptimizedEncoder extends EventEmitter {
      * Finish processing with comprehensive reporting
      */
     async finish() {
+        // Only the first call reports, `running` stays set until the state
+        // and report are saved
+        if (this.finishing) {
+            return;
+        }
+        this.finishing = true;
+
         const totalTime = Date.now() - this.metrics.startTime;
         
-        this.logger.info(colors.green('✓ All videos processed!'));
+        if (this.sessionLimit || this.draining) {
+            this.queueRetries();
+            await this.saveState();
+            this.logger.info(colors.green(`✓ ${this.draining ? 'Drained' : 'Session finished (' + this.sessionLimit + ')'}, ${this.queue.length} videos left in the queue.`));
+        } else {
+            this.logger.info(colors.green('✓ All videos processed!'));
+        }
         
         if (this.finishedVideos.length > 0) {
             const totalInputSize = this.finishedVideos.reduce((sum, v) => sum + (v.inputSize || 0), 0);
@@ -393,11 +1396,17 @@ class OptimizedEncoder extends EventEmitter {
             });
         }
 
+        await this.writeReport();
+
         this.running = false;
         this.cleanup();
         this.emit('finished', {
             processed: this.finishedVideos.length,
             failed: this.failedVideos.length,
+            queued: this.queue.length,
+            sessionLimit: this.sessionLimit,
+            drained: this.draining,
+            plans: this.plans,
             totalTime,
             metrics: this.metrics
         });
@@ -411,6 +1420,26 @@ class OptimizedEncoder extends EventEmitter {
             clearInterval(this.performanceInterval);
             this.performanceInterval = null;
         }
+
+        if (this.scheduleInterval) {
+            clearInterval(this.scheduleInterval);
+            this.scheduleInterval = null;
+        }
+
+        if (this.throttleInterval) {
+            clearInterval(this.throttleInterval);
+            this.throttleInterval = null;
+        }
+
+        if (this.diskInterval) {
+            clearInterval(this.diskInterval);
+            this.diskInterval = null;
+        }
+
+        if (this.tunerInterval) {
+            clearInterval(this.tunerInterval);
+            this.tunerInterval = null;
+        }
     }
 
     /**
@@ -438,8 +1467,11 @@ class OptimizedEncoder extends EventEmitter {
             running: this.running,
             paused: this.paused,
             shuttingDown: this.shuttingDown,
+            draining: this.draining,
             queue: this.queue.length,
             processing: this.currentlyProcessing.size,
+            throttled: this.throttled.size,
+            retrying: this.retrying.size,
             completed: this.finishedVideos.length,
             failed: this.failedVideos.length,
             maxConcurrent: this.maxConcurrentJobs,
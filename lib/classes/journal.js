@@ -0,0 +1,89 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+const consoleLogger = require('../consoleLogger.js');
+
+const STATE_VERSION = 1;
+
+/**
+ * Crash-safe state file holding the Encoder queue and per-video results
+ */
+class Journal {
+    constructor(filePath, logger = consoleLogger) {
+        this.path = path.resolve(filePath);
+        this.logger = logger;
+        this.writing = null;
+        this.pending = null;
+    }
+
+    /**
+     * Load the saved state, resolves null if there is no usable state file
+     */
+    async load() {
+        let contents;
+        try {
+            contents = await fs.readFile(this.path, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        try {
+            const state = JSON.parse(contents);
+            if (state.version !== STATE_VERSION) {
+                this.logger.warn(`Ignoring state file ${this.path}: unsupported version ${state.version}.`);
+                return null;
+            }
+            return state;
+        } catch (error) {
+            this.logger.warn(`Ignoring state file ${this.path}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Save a state snapshot. Writes are serialized and only the most recent
+     * snapshot is written when several arrive while a write is in flight.
+     */
+    save(state) {
+        this.pending = state;
+
+        if (!this.writing) {
+            this.writing = this.flush().finally(() => {
+                this.writing = null;
+                if (this.pending) {
+                    this.save(this.pending).catch(error => {
+                        this.logger.warn(`Unable to save state file ${this.path}: ${error.message}`);
+                    });
+                }
+            });
+        }
+
+        return this.writing;
+    }
+
+    /**
+     * Write pending snapshots to a temporary file and rename it over the
+     * state file so a crash never leaves a half written state behind
+     */
+    async flush() {
+        const tempPath = this.path + '.tmp';
+        await fs.mkdir(path.dirname(this.path), { recursive: true });
+
+        while (this.pending) {
+            const state = {
+                version: STATE_VERSION,
+                updated: new Date().toISOString(),
+                ...this.pending
+            };
+            this.pending = null;
+
+            await fs.writeFile(tempPath, JSON.stringify(state, null, 2));
+            await fs.rename(tempPath, this.path);
+        }
+    }
+}
+
+module.exports = Journal;
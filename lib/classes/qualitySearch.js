@@ -0,0 +1,130 @@
+const METRICS = ['ssim', 'psnr', 'vmaf'];
+
+/**
+ * Finds the highest CRF whose encode still reaches a target score.
+ *
+ * `measure(crf)` encodes the samples at a CRF and resolves their scores by
+ * metric, e.g. { ssim: 0.981, psnr: 41.2 }. Scores are assumed to drop as the
+ * CRF rises, so the range is bisected and only a handful of CRFs is encoded.
+ */
+class QualitySearch {
+    constructor(options = {}) {
+        this.metric = options.metric || 'ssim';
+        this.target = options.target;
+        this.min = options.min !== undefined ? options.min : 16;
+        this.max = options.max !== undefined ? options.max : 32;
+
+        if (METRICS.indexOf(this.metric) === -1) {
+            throw new Error(`Unknown quality metric ${this.metric}, use one of ${METRICS.join(', ')}`);
+        }
+        if (!(this.target > 0)) {
+            throw new Error('The target quality has to be a positive score');
+        }
+        if (this.min > this.max) {
+            throw new Error(`Invalid CRF range ${this.min}-${this.max}`);
+        }
+    }
+
+    /**
+     * Resolves { metric, target, crf, score, met, scores, trials }. When not
+     * even the lowest CRF reaches the target, that CRF is picked and `met` is
+     * false.
+     */
+    async search(measure) {
+        const trials = [];
+        let low = this.min;
+        let high = this.max;
+        let best = null;
+
+        while (low <= high) {
+            const crf = Math.floor((low + high) / 2);
+            const scores = await measure(crf);
+            if (typeof scores[this.metric] !== 'number' || isNaN(scores[this.metric])) {
+                throw new Error(`No ${this.metric} score measured at CRF ${crf}`);
+            }
+
+            const trial = { crf, scores };
+            trials.push(trial);
+
+            if (scores[this.metric] >= this.target) {
+                best = trial;
+                low = crf + 1;
+            } else {
+                high = crf - 1;
+            }
+        }
+
+        // Bisecting downwards always ends with the lowest CRF
+        const met = !!best;
+        if (!met) {
+            best = trials.find(trial => trial.crf === this.min);
+        }
+
+        return {
+            metric: this.metric,
+            target: this.target,
+            crf: best.crf,
+            score: best.scores[this.metric],
+            met,
+            scores: best.scores,
+            trials
+        };
+    }
+
+    /**
+     * Sample segments spread evenly over a video, or the whole video when it
+     * is too short for them
+     */
+    static samplePositions(duration, count, length) {
+        if (duration <= count * length) {
+            return [{ start: 0, length: duration }];
+        }
+
+        return Array.from({ length: count }, (value, i) => ({
+            start: Math.max(0, duration * (i + 1) / (count + 1) - length / 2),
+            length
+        }));
+    }
+
+    /**
+     * Filter graph comparing a distorted with a reference video using every
+     * metric at once, by default the first and second input
+     */
+    static metricFilter(metrics, distorted = '0:v', reference = '1:v') {
+        const filters = metrics.map(metric => metric === 'vmaf' ? 'libvmaf' : metric);
+        if (filters.length === 1) {
+            return `[${distorted}][${reference}]${filters[0]}`;
+        }
+
+        const labels = (prefix) => filters.map((filter, i) => `[${prefix}${i}]`).join('');
+        return `[${distorted}]split=${filters.length}${labels('d')};[${reference}]split=${filters.length}${labels('r')};` +
+            filters.map((filter, i) => `[d${i}][r${i}]${filter}`).join(';');
+    }
+
+    /**
+     * Scores reported by the ssim, psnr and libvmaf filters in ffmpeg's error
+     * output. Identical videos have an infinite PSNR, which is capped at 100.
+     */
+    static parseScores(stderr = '') {
+        const scores = {};
+
+        const ssim = /SSIM .*All:([\d.]+)/.exec(stderr);
+        if (ssim) {
+            scores.ssim = parseFloat(ssim[1]);
+        }
+
+        const psnr = /PSNR .*average:([\d.]+|inf)/.exec(stderr);
+        if (psnr) {
+            scores.psnr = psnr[1] === 'inf' ? 100 : parseFloat(psnr[1]);
+        }
+
+        const vmaf = /VMAF score[:=]\s*([\d.]+)/.exec(stderr);
+        if (vmaf) {
+            scores.vmaf = parseFloat(vmaf[1]);
+        }
+
+        return scores;
+    }
+}
+
+module.exports = QualitySearch;
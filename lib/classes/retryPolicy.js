@@ -0,0 +1,144 @@
+/**
+ * Stages whose failures are caused by the input or the settings, retrying
+ * them can never succeed
+ */
+const FINAL_STAGES = ['Initialize filesystem', 'Process Streams', 'Set AS Preset'];
+
+/**
+ * CRF steps down for each retry of an encode rejected by the quality gate
+ */
+const QUALITY_STEP = 2;
+
+/**
+ * Named fallback steps, each returns the option overrides for the next attempt
+ */
+const FALLBACKS = {
+    'disable-upconvert': () => ({ disableUpconvert: true }),
+    'drop-failing-subtitle': (video, error, options) => {
+        const subtitles = video.streams ? video.streams.subtitleStreams : [];
+        if (!subtitles.some(stream => stream.index === error.stream)) {
+            return {};
+        }
+        return { excludeStreams: (options.excludeStreams || []).concat(error.stream) };
+    }
+};
+
+/**
+ * Decides whether a failed video is retried, how long to wait and which
+ * fallback settings the next attempt uses
+ */
+class RetryPolicy {
+    constructor(options = {}) {
+        this.attempts = Math.max(1, options.attempts || 1);
+        this.delay = options.delay !== undefined ? options.delay : 30000;
+        this.backoffFactor = options.backoffFactor || 2;
+        this.fallbacks = RetryPolicy.parseFallbacks(options.fallbacks || []);
+    }
+
+    /**
+     * Parse fallback steps given as an array or a comma separated string.
+     * Steps are either a named fallback ("disable-upconvert") or an option
+     * override ("preset=veryfast")
+     */
+    static parseFallbacks(fallbacks) {
+        if (typeof fallbacks === 'string') {
+            fallbacks = fallbacks.split(',').map(step => step.trim()).filter(Boolean);
+        }
+
+        return fallbacks.map(step => {
+            if (typeof step !== 'string') {
+                return step;
+            }
+
+            if (FALLBACKS[step]) {
+                return step;
+            }
+
+            const separator = step.indexOf('=');
+            if (separator === -1) {
+                throw new Error(`Unknown retry fallback ${step}`);
+            }
+
+            const key = step.slice(0, separator).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+            let value = step.slice(separator + 1);
+            if (value === 'true' || value === 'false') {
+                value = value === 'true';
+            } else if (value !== '' && !isNaN(value)) {
+                value = Number(value);
+            }
+
+            return { [key]: value };
+        });
+    }
+
+    /**
+     * Whether a video that failed its attempt number `attempt` should be retried
+     */
+    shouldRetry(video, error, attempt) {
+        if (attempt >= this.attempts || video.options.test) {
+            return false;
+        }
+
+        // The same settings would only reach the same score again
+        if (error.qualityGate && RetryPolicy.getRetryQuality(video) === null) {
+            return false;
+        }
+
+        return !FINAL_STAGES.includes(video.currentStage.name);
+    }
+
+    /**
+     * Lower CRF for the retry of an encode rejected by the quality gate, null
+     * when it has a bitrate target or the CRF can't go any lower
+     */
+    static getRetryQuality(video) {
+        const crf = Number(video.options.quality);
+        if (video.options.videoBitrate || isNaN(crf) || crf - QUALITY_STEP < 0) {
+            return null;
+        }
+        return crf - QUALITY_STEP;
+    }
+
+    /**
+     * Milliseconds to wait before the retry following attempt number `attempt`
+     */
+    getDelay(attempt) {
+        return this.delay * Math.pow(this.backoffFactor, attempt - 1);
+    }
+
+    /**
+     * Options for the retry following attempt number `attempt`. Fallback steps
+     * are applied one per retry, in order. Encodes rejected by the quality
+     * gate are retried at a lower CRF on top of that, without a CRF search.
+     */
+    getFallback(video, error, options, attempt) {
+        const fallback = this.getFallbackStep(video, error, options, attempt);
+        const quality = error.qualityGate ? RetryPolicy.getRetryQuality(video) : null;
+        if (quality === null) {
+            return fallback;
+        }
+
+        return {
+            name: [fallback.name, `quality=${quality}`].filter(Boolean).join(','),
+            options: { ...fallback.options, quality, targetQuality: 0 }
+        };
+    }
+
+    getFallbackStep(video, error, options, attempt) {
+        const step = this.fallbacks[attempt - 1];
+        if (!step) {
+            return { name: null, options };
+        }
+
+        if (typeof step === 'string') {
+            return { name: step, options: { ...options, ...FALLBACKS[step](video, error, options) } };
+        }
+
+        return {
+            name: Object.entries(step).map(([key, value]) => `${key}=${value}`).join(','),
+            options: { ...options, ...step }
+        };
+    }
+}
+
+module.exports = RetryPolicy;
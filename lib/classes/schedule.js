@@ -0,0 +1,99 @@
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Time windows the encoder may run in plus limits for a single session
+ */
+class Schedule {
+    constructor(options = {}) {
+        this.windows = (options.windows || []).map(Schedule.parseWindow);
+        this.pauseRunning = options.pauseRunning !== false;
+        this.maxRuntime = options.maxRuntime || 0;
+        this.maxFiles = options.maxFiles || 0;
+        this.maxBytes = options.maxBytes || 0;
+    }
+
+    /**
+     * Parse a window such as "22:00-06:00" or "sat,sun 08:00-20:00". Windows
+     * ending before they start run past midnight.
+     */
+    static parseWindow(text) {
+        const match = /^(?:([a-z,-]+)\s+)?(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/i.exec(text.trim());
+        if (!match) {
+            throw new Error(`Invalid schedule window ${text}`);
+        }
+
+        return {
+            text,
+            days: match[1] ? Schedule.parseDays(match[1]) : null,
+            start: parseInt(match[2], 10) * 60 + parseInt(match[3], 10),
+            end: parseInt(match[4], 10) * 60 + parseInt(match[5], 10)
+        };
+    }
+
+    /**
+     * Parse a day list such as "mon-fri" or "sat,sun" into day numbers
+     */
+    static parseDays(text) {
+        const days = new Set();
+        const dayNumber = (name) => {
+            const day = DAYS.indexOf(name.slice(0, 3).toLowerCase());
+            if (day === -1) {
+                throw new Error(`Invalid schedule day ${name}`);
+            }
+            return day;
+        };
+
+        for (const part of text.split(',').filter(Boolean)) {
+            const [first, last = first] = part.split('-').map(dayNumber);
+            for (let day = first; ; day = (day + 1) % 7) {
+                days.add(day);
+                if (day === last) {
+                    break;
+                }
+            }
+        }
+
+        return days;
+    }
+
+    /**
+     * Whether encoding is allowed at the given time
+     */
+    isOpen(date = new Date()) {
+        if (!this.windows.length) {
+            return true;
+        }
+
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const day = date.getDay();
+        const onDay = (window, weekday) => !window.days || window.days.has(weekday);
+
+        return this.windows.some(window => {
+            if (window.start <= window.end) {
+                return onDay(window, day) && minutes >= window.start && minutes < window.end;
+            }
+
+            // Past midnight, the window belongs to the day it started on
+            return (onDay(window, day) && minutes >= window.start) ||
+                (onDay(window, (day + 6) % 7) && minutes < window.end);
+        });
+    }
+
+    /**
+     * Reason the session limits were reached, null while within them
+     */
+    limitReached(session) {
+        if (this.maxRuntime && Date.now() - session.startTime >= this.maxRuntime) {
+            return 'max runtime';
+        }
+        if (this.maxFiles && session.files >= this.maxFiles) {
+            return 'max files';
+        }
+        if (this.maxBytes && session.bytes >= this.maxBytes) {
+            return 'max size';
+        }
+        return null;
+    }
+}
+
+module.exports = Schedule;
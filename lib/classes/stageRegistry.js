@@ -0,0 +1,75 @@
+const path = require('path');
+
+const consoleLogger = require('../consoleLogger.js');
+
+/**
+ * Custom stages applied to every Video an Encoder or Worker creates, see
+ * Video#addStage for the stage format.
+ *
+ * Plugins are npm modules exporting either a function that is called with
+ * the registry, or a stage (or an array of stages) with optional `before` or
+ * `after` stage names.
+ */
+class StageRegistry {
+    constructor(logger = consoleLogger) {
+        this.logger = logger;
+        this.changes = [];
+    }
+
+    /**
+     * Add a stage to every video, `position` is { before: name } or
+     * { after: name }
+     */
+    addStage(stage, position) {
+        if (!stage || !stage.name || typeof stage.promise !== 'function') {
+            throw new Error('A stage needs a name and a promise function.');
+        }
+
+        this.changes.push({ stage, position });
+        return this;
+    }
+
+    /**
+     * Remove a stage from every video
+     */
+    removeStage(name) {
+        this.changes.push({ remove: name });
+        return this;
+    }
+
+    /**
+     * Load stage plugins by module name or path, resolved from `basedir`
+     */
+    load(modules, basedir = process.cwd()) {
+        for (const name of modules) {
+            const plugin = require(require.resolve(name, { paths: [path.resolve(basedir)] }));
+
+            if (typeof plugin === 'function') {
+                plugin(this);
+            } else {
+                for (const stage of [].concat(plugin)) {
+                    this.addStage(stage, { before: stage.before, after: stage.after });
+                }
+            }
+
+            this.logger.verbose(`Loaded stage plugin ${name}`);
+        }
+        return this;
+    }
+
+    /**
+     * Apply the registered changes to a new video, in the order they were made
+     */
+    apply(video) {
+        for (const change of this.changes) {
+            if (change.remove) {
+                video.removeStage(change.remove);
+            } else {
+                video.addStage(change.stage, change.position);
+            }
+        }
+        return video;
+    }
+}
+
+module.exports = StageRegistry;
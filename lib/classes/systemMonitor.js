@@ -0,0 +1,102 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+const THERMAL_DIR = '/sys/class/thermal';
+
+/**
+ * Samples load average, available memory and CPU temperature and rates them
+ * against the configured thresholds
+ */
+class SystemMonitor {
+    constructor(options = {}) {
+        this.maxLoad = options.maxLoad || 0; // load average per core
+        this.minFreeMemory = options.minFreeMemory || 0; // bytes
+        this.maxTemperature = options.maxTemperature || 0; // °C
+        this.temperatureMargin = options.temperatureMargin || 10;
+        this.cpus = os.cpus().length;
+    }
+
+    /**
+     * Current system state, temperature is null where it can't be read
+     */
+    sample() {
+        return {
+            load: os.loadavg()[0] / this.cpus,
+            freeMemory: SystemMonitor.readAvailableMemory(),
+            temperature: this.maxTemperature ? SystemMonitor.readTemperature() : null
+        };
+    }
+
+    /**
+     * MemAvailable from /proc/meminfo, it includes reclaimable cache unlike
+     * os.freemem()
+     */
+    static readAvailableMemory() {
+        try {
+            const match = /^MemAvailable:\s+(\d+) kB$/m.exec(fs.readFileSync('/proc/meminfo', 'utf8'));
+            if (match) {
+                return parseInt(match[1], 10) * 1024;
+            }
+        } catch (error) {
+            // Not Linux
+        }
+        return os.freemem();
+    }
+
+    /**
+     * Highest CPU temperature in °C reported by the Linux thermal zones
+     */
+    static readTemperature() {
+        try {
+            const zones = fs.readdirSync(THERMAL_DIR)
+                .filter(entry => entry.startsWith('thermal_zone'))
+                .map(entry => {
+                    const zone = path.join(THERMAL_DIR, entry);
+                    return {
+                        type: fs.readFileSync(path.join(zone, 'type'), 'utf8').trim(),
+                        temperature: parseInt(fs.readFileSync(path.join(zone, 'temp'), 'utf8'), 10) / 1000
+                    };
+                })
+                .filter(zone => !isNaN(zone.temperature));
+
+            // Prefer CPU sensors over chipset, battery and wifi sensors
+            const cpuZones = zones.filter(zone => /cpu|pkg|core|k10temp|soc/i.test(zone.type));
+            const temperatures = (cpuZones.length ? cpuZones : zones).map(zone => zone.temperature);
+
+            return temperatures.length ? Math.max(...temperatures) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Rate a sample:
+     *  - critical: too hot or out of memory, running jobs should be paused
+     *  - high: load too high, concurrency should be reduced
+     *  - normal: every value is clear of its threshold, jobs can be added back
+     *  - steady: in between, leave things as they are
+     */
+    evaluate(sample) {
+        const hot = this.maxTemperature && sample.temperature !== null && sample.temperature >= this.maxTemperature;
+        const lowMemory = this.minFreeMemory && sample.freeMemory < this.minFreeMemory;
+        if (hot || lowMemory) {
+            return { level: 'critical', reason: hot ? `CPU temperature ${sample.temperature}°C` : `free memory ${Math.round(sample.freeMemory / 1024 / 1024)}MB` };
+        }
+
+        if (this.maxLoad && sample.load > this.maxLoad) {
+            return { level: 'high', reason: `load ${sample.load.toFixed(2)} per core` };
+        }
+
+        const cool = !this.maxTemperature || sample.temperature === null || sample.temperature < this.maxTemperature - this.temperatureMargin;
+        const enoughMemory = !this.minFreeMemory || sample.freeMemory > this.minFreeMemory * 1.2;
+        const idle = !this.maxLoad || sample.load < this.maxLoad * 0.8;
+        if (cool && enoughMemory && idle) {
+            return { level: 'normal', reason: 'system recovered' };
+        }
+
+        return { level: 'steady', reason: null };
+    }
+}
+
+module.exports = SystemMonitor;
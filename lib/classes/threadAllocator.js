@@ -0,0 +1,111 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+const NODE_DIR = '/sys/devices/system/node';
+
+/**
+ * Splits the machine's CPUs between parallel encodes so every x265 instance
+ * sizes its thread pool for its own share instead of the whole machine
+ */
+class ThreadAllocator {
+    constructor(options = {}) {
+        const cpus = Array.from({ length: options.cpus || os.cpus().length }, (value, i) => i);
+
+        this.numa = !!options.numa;
+        this.nodes = (this.numa && ThreadAllocator.readNumaNodes()) || [cpus];
+    }
+
+    /**
+     * CPU lists of each NUMA node, null when the topology is unavailable
+     */
+    static readNumaNodes() {
+        try {
+            const nodes = fs.readdirSync(NODE_DIR)
+                .filter(entry => /^node\d+$/.test(entry))
+                .sort((a, b) => parseInt(a.slice(4), 10) - parseInt(b.slice(4), 10))
+                .map(entry => ThreadAllocator.parseCpuList(fs.readFileSync(path.join(NODE_DIR, entry, 'cpulist'), 'utf8')))
+                .filter(cpus => cpus.length);
+
+            return nodes.length ? nodes : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Parse a kernel cpu list such as "0-3,8-11"
+     */
+    static parseCpuList(list) {
+        const cpus = [];
+        for (const range of list.trim().split(',').filter(Boolean)) {
+            const [start, end = start] = range.split('-').map(Number);
+            for (let cpu = start; cpu <= end; cpu++) {
+                cpus.push(cpu);
+            }
+        }
+        return cpus;
+    }
+
+    /**
+     * Frame threads x265 would pick for a pool of this size
+     */
+    static frameThreads(threads) {
+        if (threads >= 32) return 6;
+        if (threads >= 16) return 5;
+        if (threads >= 8) return 3;
+        if (threads >= 4) return 2;
+        return 1;
+    }
+
+    /**
+     * Share the CPUs between running jobs. `jobs` holds each job's current
+     * share (or an empty object for new jobs), jobs keep their NUMA node and
+     * new jobs go to the least loaded node.
+     */
+    allocate(jobs) {
+        const load = this.nodes.map(() => 0);
+        for (const job of jobs) {
+            if (job.node !== undefined && job.node < this.nodes.length) {
+                load[job.node]++;
+            }
+        }
+
+        const nodes = jobs.map(job => {
+            if (job.node !== undefined && job.node < this.nodes.length) {
+                return job.node;
+            }
+            const node = load.indexOf(Math.min(...load));
+            load[node]++;
+            return node;
+        });
+
+        return jobs.map((job, i) => {
+            const node = nodes[i];
+            const peers = nodes.filter(peerNode => peerNode === node).length;
+            const slot = nodes.slice(0, i).filter(peerNode => peerNode === node).length;
+            const nodeCpus = this.nodes[node];
+
+            let cpus = nodeCpus.slice(Math.floor(slot * nodeCpus.length / peers), Math.floor((slot + 1) * nodeCpus.length / peers));
+            if (!cpus.length) {
+                // More jobs than CPUs on this node
+                cpus = [nodeCpus[slot % nodeCpus.length]];
+            }
+
+            // x265 takes one thread count per NUMA node, "-" leaves a node unused
+            const pools = this.nodes.length > 1 ?
+                this.nodes.map((cpuList, index) => index === node ? cpus.length : '-').join(',') :
+                String(cpus.length);
+
+            return {
+                node,
+                cpus,
+                threads: cpus.length,
+                pools,
+                frameThreads: ThreadAllocator.frameThreads(cpus.length)
+            };
+        });
+    }
+}
+
+module.exports = ThreadAllocator;
@@ -1,6 +1,8 @@
 const Path = require('path');
 const os = require('os');
 const EventEmitter = require('events');
+const childProcess = require('child_process');
+const crypto = require('crypto');
 
 const _ = require('lodash');
 const colors = require('colors');
@@ -12,13 +14,20 @@ const math = require('mathjs');
 const Promise = require('bluebird');
 const Pauser = require('promise-pauser');
 const ffmpeg = require('fluent-ffmpeg');
+const ffmpegUtils = require('fluent-ffmpeg/lib/utils');
 const MemoryStream = require('memorystream');
 
 const helpers = require(Path.join(__dirname, '../helpers.js'));
+const QualitySearch = require('./qualitySearch.js');
+const CropDetector = require('./cropDetector.js');
 const ASPresets = require('../aspresets.json');
 
 let counter = 0;
 
+// Analysis stages run in plan mode, everything after them would touch the disk
+const PLAN_STAGES = ['Initialize filesystem', 'Get Initial Metadata', 'Process Streams', 'Set AS Preset', 'Set Video Bit Depth',
+    'Set Color Metadata', 'Auto Crop', 'Deinterlace', 'Map Streams', 'Map High Efficiency Audio', 'Target Size'];
+
 class Video {
     constructor(path, options) {
 
@@ -45,6 +54,8 @@ class Video {
             override: false,
             stats: false,
             HEAudioBitrate: 40,
+            secondaryVideo: 'drop',
+            dynamicHdr: 'skip',
             destination: os.homedir()
         });
         this.output = {
@@ -73,6 +84,9 @@ class Video {
 
         this.events = new EventEmitter();
 
+        // Milliseconds spent in each stage, for the batch report
+        this.stageTimings = {};
+
         this.currentStageNum = -1;
         this.currentStage = {
             name: 'Pending',
@@ -102,6 +116,10 @@ class Video {
             name: 'Set Video Bit Depth',
             action: 'detecting video bit depth',
             promise: this.setVideoBitDepth
+        }, {
+            name: 'Set Color Metadata',
+            action: 'setting color metadata',
+            promise: this.setColorMetadata
         }, {
             name: 'Normalize Audio',
             action: 'normalizing audio',
@@ -122,14 +140,30 @@ class Video {
             name: 'Map High Efficiency Audio',
             action: 'mapping high effeciency audio',
             promise: this.heAudio
+        }, {
+            name: 'Target Size',
+            action: 'fitting target size',
+            promise: this.fitTargetSize
+        }, {
+            name: 'Quality Search',
+            action: 'searching crf',
+            promise: this.searchQuality
+        }, {
+            name: 'Encode Chunks',
+            action: 'encoding chunks',
+            promise: this.encodeChunks
+        }, {
+            name: 'Multipass',
+            action: 'running multipass analysis',
+            promise: this.multiPass
         }, {
             name: 'Encode',
             action: 'encoding',
             promise: this.encode
         }, {
-            name: 'Multipass',
-            action: 'generating multipass',
-            promise: this.multiPass
+            name: 'Check Size',
+            action: 'checking output size',
+            promise: this.checkSize
         }, {
             name: 'Verify Encode',
             action: 'verifying encode',
@@ -155,18 +189,336 @@ class Video {
             action: 'appending stats',
             promise: this.appendStats
         }];
+
+        // Plan mode only analyses the video and reports what the encode would do
+        if (this.options.plan) {
+            this.stages = this.stages.filter(function(stage) {
+                return PLAN_STAGES.indexOf(stage.name) > -1;
+            }).concat({
+                name: 'Plan',
+                action: 'planning',
+                promise: this.buildPlan
+            });
+        }
+    }
+
+    // Find a stage by name
+    getStage(name) {
+        return _.find(this.stages, {
+            name: name
+        });
+    }
+
+    // Insert a custom stage. `stage` is { name, action, promise } where
+    // promise is called with the video as `this` and returns a promise.
+    // `position` is { before: name } or { after: name }, by default the stage
+    // is appended. Only stages marked `plan: true` are added in plan mode.
+    addStage(stage, position) {
+        if (!stage || !stage.name || typeof stage.promise !== 'function')
+            throw new Error('A stage needs a name and a promise function.');
+
+        if (this.currentStageNum > -1)
+            throw new Error('Stages can not be changed once the video has started.');
+
+        if (this.getStage(stage.name))
+            throw new Error('Stage ' + colors.yellow(stage.name) + ' already exists.');
+
+        if (this.options.plan && !stage.plan)
+            return this;
+
+        let index = this.stages.length;
+        let reference = position && (position.before || position.after);
+        if (reference) {
+            index = _.findIndex(this.stages, {
+                name: reference
+            });
+            if (index === -1)
+                throw new Error('Unknown stage ' + colors.yellow(reference) + '.');
+            if (position.after)
+                index++;
+        }
+
+        this.stages.splice(index, 0, _.defaults({}, stage, {
+            action: stage.name.toLowerCase()
+        }));
+        return this;
+    }
+
+    // Remove a stage by name
+    removeStage(name) {
+        if (this.currentStageNum > -1)
+            throw new Error('Stages can not be changed once the video has started.');
+
+        let index = _.findIndex(this.stages, {
+            name: name
+        });
+
+        // Plan mode leaves out most stages already
+        if (index === -1 && this.options.plan)
+            return this;
+        if (index === -1)
+            throw new Error('Unknown stage ' + colors.yellow(name) + '.');
+
+        this.stages.splice(index, 1);
+        return this;
+    }
+
+    // Result of an analysis pass stored by an earlier run, resolves undefined
+    // when it has to be run (again)
+    _getCachedAnalysis(name, params) {
+        let _self = this;
+        let cache = this.encoder.analysisCache;
+        if (!cache || this.options.reanalyze)
+            return Promise.resolve(undefined);
+
+        return Promise.resolve(cache.get(this.path, name, params)).then(function(value) {
+            if (value !== undefined)
+                _self.encoder.logger.verbose('Using cached', name, 'analysis.');
+            return value;
+        }, function(err) {
+            _self.encoder.logger.debug('Unable to read analysis cache:', err.message);
+        });
+    }
+
+    _cacheAnalysis(name, params, value) {
+        let _self = this;
+        let cache = this.encoder.analysisCache;
+        if (!cache)
+            return;
+
+        Promise.resolve(cache.set(this.path, name, params, value)).catch(function(err) {
+            _self.encoder.logger.debug('Unable to write analysis cache:', err.message);
+        });
     }
 
     _addX265Option(option) {
         this.x265Options += this.x265Options.length ? ':' + option : option;
     }
 
+    // Run an ffmpeg command as the command of the current stage, so it is
+    // paused and resumed with the video. Resolves ffmpeg's error output.
+    _runCommand(command) {
+        let _self = this;
+        return new Promise(function(resolve, reject) {
+            if (!_self.running && !_self.paused)
+                return reject(new Error('Stopped prematurely.'));
+
+            _self.stages[_self.currentStageNum].command = command
+                .on('start', function(commandLine) {
+                    if (_self.paused)
+                        _self.pause();
+                    _self._pinCommand(command, _self.threadShare);
+
+                    _self.encoder.logger.debug('Running Query:', commandLine);
+                })
+                .on('error', function(err) {
+                    delete _self.stages[_self.currentStageNum].command;
+                    reject(err);
+                })
+                .on('end', function(stdout, stderr) {
+                    delete _self.stages[_self.currentStageNum].command;
+                    resolve(stderr);
+                });
+            command.run();
+        });
+    }
+
+    // Whether an HDR source is tone-mapped to SDR
+    _isTonemapped() {
+        return !!(this.options.tonemap && this.options.tonemap !== 'none' && this.color && this.color.hdr);
+    }
+
+    // Filters that follow the ones added by the stages (crop, deinterlace)
+    _getOutputFilters() {
+        let filters = [];
+
+        if (this.options.scale)
+            filters.push('scale=-1:' + this.options.scale);
+
+        // Tone-map after cropping and scaling so fewer pixels go through it
+        if (this._isTonemapped())
+            filters = filters.concat(helpers.getTonemapFilters(this.color, this.options.tonemap, this.pixFmt));
+
+        return filters;
+    }
+
+    // Every filter the encode runs the main video stream through
+    _getVideoFilters() {
+        let output = this.ffmpegCommand._currentOutput;
+        let filters = output && output.videoFilters ? ffmpegUtils.makeFilterStrings(output.videoFilters.get()) : [];
+        return filters.concat(this._getOutputFilters());
+    }
+
+    // Apply the rate control, preset and x265 options to the encode command
+    _setEncodeOptions() {
+        let _self = this;
+
+        // Remembered for the quality check, the command's filters may be
+        // split up per stream below
+        _self.encodeFilters = _self._getVideoFilters();
+
+        // Scale and tone-map video
+        let outputFilters = _self._getOutputFilters();
+        if (outputFilters.length)
+            _self.ffmpegCommand.videoFilters(outputFilters);
+
+        _self.x265Options = _self._setCodecOptions(_self.ffmpegCommand, _self.threadShare);
+
+        _self._setVideoStreamCodecs();
+    }
+
+    // Rate control, preset, threads and x265 options of an x265 encode using
+    // a share of the CPU, shared by the encode, its chunks and its analysis
+    // passes. Returns the x265 options.
+    _setCodecOptions(command, share, passOptions) {
+        let x265Options = [this.x265Options];
+
+        // Accurate Timestamps
+        if (this.options.accurateTimestamps)
+            x265Options.push('keyint=' + math.eval(this.videoStream['avg_frame_rate']).toFixed(0));
+
+        // Multipass analysis
+        if (passOptions)
+            x265Options.push(passOptions);
+
+        // Video bitrate target or constant quality?
+        if (this.options.videoBitrate) {
+            command.videoBitrate(this.options.videoBitrate);
+        } else {
+            command.outputOptions('-crf ' + this.options.quality);
+        }
+
+        // H265 preset
+        if (this.options.preset)
+            command.outputOptions('-preset', this.options.preset);
+
+        // Only use the share of the CPU the encoder handed us
+        if (share) {
+            command.outputOptions('-threads', share.threads);
+            x265Options.push('pools=' + share.pools + ':frame-threads=' + share.frameThreads);
+        }
+
+        // H265 extra options
+        if (this.options.extraOptions)
+            x265Options.push(this.options.extraOptions);
+
+        x265Options = _.compact(x265Options).join(':');
+        if (x265Options)
+            command.outputOptions('-x265-params', x265Options);
+
+        return x265Options;
+    }
+
+    // Copy the video streams that are not encoded (cover art, secondary
+    // streams in copy mode). Output video streams are numbered in the order
+    // mapStreams mapped them.
+    _setVideoStreamCodecs() {
+        let _self = this;
+        if (!_.some(_self.mappedVideoStreams, {
+                outputCodec: 'copy'
+            }))
+            return;
+
+        _.each(_self.mappedVideoStreams, function(stream, i) {
+            if (stream.outputCodec === 'copy')
+                _self.ffmpegCommand.outputOptions('-c:v:' + i, 'copy');
+        });
+
+        // ffmpeg refuses to filter copied streams, so filters only go to the
+        // encoded ones. fluent-ffmpeg has no public way to do this either.
+        let output = _self.ffmpegCommand._currentOutput;
+        let filters = output && output.videoFilters ? output.videoFilters.get() : [];
+        if (!filters.length)
+            return;
+
+        filters = ffmpegUtils.makeFilterStrings(filters).join(',');
+        output.videoFilters.clear();
+        _.each(_self.mappedVideoStreams, function(stream, i) {
+            if (stream.outputCodec !== 'copy')
+                _self.ffmpegCommand.outputOptions('-filter:v:' + i, filters);
+        });
+    }
+
+    // Mux the joined chunks in place of the main video stream, everything
+    // else still comes from the source
+    _mapChunks() {
+        let source = this.videoStream.input + ':' + this.videoStream.index;
+        let input = ++this.inputCounter;
+        this.ffmpegCommand.input(this.chunkList).inputOptions('-f', 'concat', '-safe', '0');
+
+        let options = this.ffmpegCommand._currentOutput.options.get();
+        for (let i = 0; i < options.length - 1; i++) {
+            if (options[i] === '-map' && options[i + 1] === source) {
+                options[i + 1] = input + ':v:0';
+                break;
+            }
+        }
+        this.ffmpegCommand.outputOptions('-map_chapters', 0);
+
+        // Already encoded
+        this.videoStream.outputCodec = 'copy';
+    }
+
+    // Whether the main video stream is encoded in parallel chunks
+    _isChunked() {
+        if (!(this.options.chunkLength > 0) || this.options.preview)
+            return false;
+
+        if (this.options.multiPass > 1) {
+            this.encoder.logger.warn('Chunked encoding ignored because multipass encodes the whole video.');
+            return false;
+        }
+
+        return parseFloat(this.metadata.format.duration) >= this.options.chunkLength * 2;
+    }
+
+    // Points chunks may start at in seconds: the keyframes of the main video
+    // stream, or its scene cuts with --chunk-split scene
+    _findChunkCuts() {
+        let _self = this;
+        let cacheParams = {
+            stream: _self.videoStream.index,
+            split: _self.options.chunkSplit
+        };
+
+        return _self._getCachedAnalysis('cuts', cacheParams).then(function(cuts) {
+            if (cuts)
+                return cuts;
+
+            let search;
+            if (_self.options.chunkSplit === 'scene') {
+                _self.encoder.logger.verbose('Detecting scene cuts...');
+                cuts = [];
+                search = _self._runCommand(new ffmpeg(_self.path, {
+                        logger: _self.encoder.logger
+                    }).outputOptions('-map', '0:' + _self.videoStream.index)
+                    .videoFilters('scale=-2:360', 'select=\'gt(scene,0.4)\'', 'showinfo')
+                    .noAudio().format('null').output('-')
+                    .on('stderr', function(line) {
+                        let match = /Parsed_showinfo.*pts_time:\s*([\d.]+)/.exec(line);
+                        if (match)
+                            cuts.push(parseFloat(match[1]));
+                    })).then(function() {
+                    return cuts;
+                });
+            } else {
+                search = Video.getKeyframes(_self, _self.videoStream);
+            }
+
+            return search.then(function(cuts) {
+                _self._cacheAnalysis('cuts', cacheParams, cuts);
+                return cuts;
+            });
+        });
+    }
+
     filesystem() {
         let _self = this;
         return new Promise(function(resolve, reject) {
 
 
-            if (fs.existsSync(_self.output.path) && !_self.options.override) {
+            // A plan writes nothing, so an existing output doesn't stop it
+            if (fs.existsSync(_self.output.path) && !_self.options.override && !_self.options.plan) {
                 return reject(new Error('Output ' + colors.yellow('"' + _self.output.path + '"') + ' already exists.'));
             }
 
@@ -180,8 +532,29 @@ class Video {
         return new Promise(function(resolve, reject) {
             Video.getMetadata(_self).then(function(metadata) {
                 _self.metadata = metadata;
-                resolve();
-            }, reject);
+                _self.inputSize = parseInt(metadata.format.size, 10);
+
+                let kept = _self.encoder.findKeptOriginal ? _self.encoder.findKeptOriginal(_self.path, _self.inputSize) : null;
+                if (kept) {
+                    _self.encoder.logger.info('Skipping', colors.yellow(_self.base) + ', an earlier encode was', kept.ratio + '% of its size.');
+                    _self.keepOriginal = _.omit(kept, 'path', 'size');
+                    return _self._keepOriginal();
+                }
+
+                // Color tags and HDR metadata of the main video stream
+                let mainStream = helpers.selectMainVideoStream(_.filter(metadata.streams, function(stream) {
+                    return stream.codec_type === 'video' && !helpers.isAttachedPicture(stream);
+                }));
+                if (!mainStream)
+                    return;
+
+                return Video.getColorMetadata(_self, mainStream).then(function(color) {
+                    _self.color = color;
+                    if (color.hdr || color.dolbyVision || color.hdr10Plus) {
+                        _self.encoder.logger.verbose('HDR metadata:', color);
+                    }
+                });
+            }).then(resolve, reject);
 
         });
     }
@@ -202,14 +575,24 @@ class Video {
 
                 // this.encoder.logger.debug(stream);
 
+                // Streams dropped by the user or a retry fallback
+                if (_self.options.excludeStreams && _self.options.excludeStreams.indexOf(stream.index) > -1) {
+                    _self.encoder.logger.verbose('Stream', stream.index, 'excluded.');
+                    return;
+                }
+
                 if (!stream.codec_type) {
                     _self.encoder.logger.warn('A codec was not provided for stream ' + stream.index + '. Your ffmpeg is most likely out of date. At least version 2.8.2 is recommended.');
                 }
 
                 switch (stream.codec_type) {
                     case 'video':
-                        if (stream.codec_name === 'hevc' && !_self.options.override)
-                            return reject(new Error('Already encoded in h265. Skipping... (use the --override flag to encode hevc videos)'));
+                        // Cover art is passed through untouched
+                        if (helpers.isAttachedPicture(stream)) {
+                            _self.encoder.logger.verbose('Stream', stream.index, 'is an attached picture and will be copied.');
+                            otherStreams.push(stream);
+                            break;
+                        }
                         videoStreams.push(stream);
                         break;
                     case 'audio':
@@ -228,17 +611,41 @@ class Video {
                 }
             });
 
+            if (!videoStreams.length)
+                return reject(new Error('No video stream found.'));
+
+            let mainStream = _self.videoStream = helpers.selectMainVideoStream(videoStreams);
+            if (mainStream.codec_name === 'hevc' && !_self.options.override)
+                return reject(new Error('Already encoded in h265. Skipping... (use the --override flag to encode hevc videos)'));
+
+            // Dynamic HDR metadata can't be carried over, only the HDR10 base
+            // layer can be encoded
+            let color = _self.color || {};
+            if (color.dolbyVision || color.hdr10Plus) {
+                let format = color.dolbyVision ? 'Dolby Vision' + (color.dolbyVision.profile ? ' profile ' + color.dolbyVision.profile : '') : 'HDR10+';
+                if (_self.options.dynamicHdr !== 'hdr10')
+                    return reject(new Error(format + ' source. Skipping... (use --dynamic-hdr hdr10 to encode its HDR10 base layer)'));
+                if (color.dolbyVision && color.dolbyVision.profile === 5)
+                    return reject(new Error('Dolby Vision profile 5 has no HDR10 base layer. Skipping...'));
+                _self.encoder.logger.warn(format, 'metadata will be lost, only the HDR10 base layer is encoded.');
+            }
+
+            if (videoStreams.length > 1) {
+                _self.encoder.logger.alert('More than one video stream detected. Using stream', mainStream.index, '(' + mainStream.width + 'x' + mainStream.height + ')', 'as the main video stream, the others will be ' + {
+                    drop: 'dropped',
+                    copy: 'copied',
+                    encode: 'encoded'
+                }[_self.options.secondaryVideo] + '.');
+            }
+
             // Preview Mode
             if (_self.options.preview) {
                 _self.ffmpegCommand.seekInput(_self.metadata.format.duration / 2).duration(_self.options.previewLength / 1000);
             }
 
-            if (_self.options.multiPass > 1) {
-                _self._addX265Option('pass=1:stats=' + Path.join(os.tmpdir(), 'x265stats.log'));
-            }
-
             _self.streams = {
                 videoStreams: videoStreams,
+                secondaryVideoStreams: _.without(videoStreams, mainStream),
                 audioStreams: audioStreams,
                 subtitleStreams: subtitleStreams,
                 otherStreams: otherStreams
@@ -287,7 +694,7 @@ class Video {
     upconvert() {
         let _self = this;
         return new Promise(function(resolve, reject) {
-            if (_self.options.upconvert || _self.options.test)
+            if (_self.options.disableUpconvert || _self.options.test)
                 return resolve();
 
 
@@ -314,7 +721,10 @@ class Video {
                                 _self.streams.subtitleStreams[i] = metadata.streams[0];
                                 resolve();
                             }, reject);
-                        }).catch(reject);
+                        }).catch(function(err) {
+                            err.stream = subtitle.index;
+                            reject(err);
+                        });
                     }));
                 }
             });
@@ -324,11 +734,16 @@ class Video {
             Promise.all(trackUpconvertProcesses).then(function() {
                 resolve();
             }).catch(function(err) {
+                // Fail the attempt when a retry can run without it (disable-upconvert fallback),
+                // otherwise keep the original subtitles
+                let attempt = ((_self.job && _self.job.attempts) || []).length + 1;
+                if (_self.encoder.retryPolicy && _self.encoder.retryPolicy.shouldRetry(_self, err, attempt)) {
+                    _self.encoder.logger.warn('Upconvert error: ' + err.message);
+                    return reject(err);
+                }
                 _self.encoder.logger.warn('Upconvert error: ' + err.message + ' - Skipping upconvert...');
-                reject(err);
+                resolve();
             });
-
-            resolve();
         });
     }
 
@@ -336,17 +751,9 @@ class Video {
         let _self = this;
         return new Promise(function(resolve, reject) {
 
-            // Video streams
-            let videoIndex = 0,
+            let videoStream = _self.videoStream,
                 videoBitDepth = 8;
 
-            if (_self.streams.videoStreams.length > 1) {
-                // TODO implement feature
-                _self.encoder.logger.alert('More than one video stream detected. Using the video stream with the greatest duration.');
-                videoIndex = 0;
-            }
-            let videoStream = _self.videoStream = _self.streams.videoStreams[videoIndex];
-
             // Check for 12bit or 10bit video
             if (videoStream.pix_fmt.indexOf('12le') > -1 || videoStream.pix_fmt.indexOf('12be') > -1) {
                 videoBitDepth = 12;
@@ -357,31 +764,39 @@ class Video {
 
             // Set video encoding profile
             if (_self.options.bitdepth === 12) {
-                _self.ffmpegCommand.outputOptions('-pix_fmt', 'yuv420p12le');
+                _self.pixFmt = 'yuv420p12le';
             } else if (_self.options.bitdepth === 10) {
-                _self.ffmpegCommand.outputOptions('-pix_fmt', 'yuv420p10le');
+                _self.pixFmt = 'yuv420p10le';
             } else if (_self.options.bitdepth === 8) {
-                _self.ffmpegCommand.outputOptions('-pix_fmt', 'yuv420p');
+                _self.pixFmt = 'yuv420p';
             } else {
                 switch (_self.videoBitDepth) {
                     case 16:
-                        _self.ffmpegCommand.outputOptions('-pix_fmt', 'yuv420p16le');
+                        _self.pixFmt = 'yuv420p16le';
                         break;
                     case 14:
-                        _self.ffmpegCommand.outputOptions('-pix_fmt', 'yuv420p14le');
+                        _self.pixFmt = 'yuv420p14le';
                         break;
                     case 12:
-                        _self.ffmpegCommand.outputOptions('-pix_fmt', 'yuv420p12le');
+                        _self.pixFmt = 'yuv420p12le';
                         break;
                     case 10:
-                        _self.ffmpegCommand.outputOptions('-pix_fmt', 'yuv420p10le');
+                        _self.pixFmt = 'yuv420p10le';
                         break;
                     default:
-                        _self.ffmpegCommand.outputOptions('-pix_fmt', 'yuv420p');
+                        _self.pixFmt = 'yuv420p';
                         break;
                 }
             }
 
+            // HDR needs at least 10 bits
+            if (_self.color && _self.color.hdr && !_self._isTonemapped() && _self.pixFmt === 'yuv420p') {
+                if (_self.options.bitdepth === 8)
+                    _self.encoder.logger.warn('HDR video can not be encoded with 8 bits, using 10 bits instead.');
+                _self.pixFmt = 'yuv420p10le';
+            }
+            _self.ffmpegCommand.outputOptions('-pix_fmt', _self.pixFmt);
+
             // Make sure we are only attempting to use 8 bit with fallback
             // binary
             // TODO
@@ -400,6 +815,60 @@ class Video {
         });
     }
 
+    // Carry the color tags and HDR10 mastering display and light level
+    // metadata of the source over to the encode, or tag it as BT.709 when it
+    // is tone-mapped
+    setColorMetadata() {
+        let _self = this;
+        return new Promise(function(resolve, reject) {
+            if (!_self.color)
+                return resolve();
+
+            function tagOutput(color) {
+                let x265Options = helpers.getX265ColorOptions(color);
+                if (x265Options.length)
+                    _self._addX265Option(x265Options.join(':'));
+
+                // Tag the container as well, chunks are tagged the same way
+                _self.colorTags = _.pickBy({
+                    '-color_primaries': color.primaries,
+                    '-color_trc': color.transfer,
+                    '-colorspace': color.matrix,
+                    '-color_range': color.range
+                });
+                _.each(_self.colorTags, function(value, option) {
+                    _self.ffmpegCommand.outputOptions(option, value);
+                });
+
+                if (color.hdr)
+                    _self.encoder.logger.verbose('Passing', color.hdr.toUpperCase(), 'metadata through:', x265Options.join(':'));
+            }
+
+            if (!_self._isTonemapped()) {
+                tagOutput(_self.color);
+                return resolve();
+            }
+
+            // The filters themselves are added with the encode options, after
+            // crop and scale
+            ffmpeg.getAvailableFilters(function(err, filters) {
+                if (err)
+                    return reject(err);
+                if (!filters.zscale || !filters.tonemap)
+                    return reject(new Error('Tone-mapping needs an ffmpeg with the zscale and tonemap filters (built with libzimg).'));
+
+                _self.encoder.logger.verbose('Tone-mapping', _self.color.hdr.toUpperCase(), 'to SDR with', _self.options.tonemap + '.');
+                tagOutput({
+                    primaries: 'bt709',
+                    transfer: 'bt709',
+                    matrix: 'bt709',
+                    range: 'tv'
+                });
+                resolve();
+            });
+        });
+    }
+
     normalizeAudio() {
         let _self = this;
         return new Promise(function(resolve, reject) {
@@ -410,10 +879,43 @@ class Video {
 
             let availableFilters;
 
-            ffmpeg.getAvailableFilters(function(err, filters) {
-                availableFilters = filters;
-                normalize();
-            });
+            // Measurements depend on the method, the audio streams and the preview range
+            const cacheParams = {
+                method: _self.options.normalizeLevel >= 4 ? 'loudnorm' : 'volumedetect',
+                streams: _.map(_self.streams.audioStreams, 'index'),
+                preview: _self.options.preview ? _self.options.previewLength : false
+            };
+
+            _self._getCachedAnalysis('loudness', cacheParams).then(function(loudness) {
+                if (loudness !== undefined && _self.options.normalizeLevel < 5) {
+                    applyLoudness(loudness);
+                    return resolve();
+                }
+
+                ffmpeg.getAvailableFilters(function(err, filters) {
+                    availableFilters = filters;
+                    normalize();
+                });
+            }).catch(reject);
+
+            function applyLoudness(loudness) {
+                if (loudness.loudnorm) {
+                    let parsedAttributes = loudness.loudnorm;
+                    _self.ffmpegCommand.audioFilters({
+                        filter: 'loudnorm',
+                        options: 'I=-16:TP=-2.0:LRA=11:measured_I=' + parsedAttributes.input_i + ':measured_LRA=' + parsedAttributes.input_lra + ':measured_TP=' + parsedAttributes.input_tp + ':measured_thresh=' + parsedAttributes.input_thresh + ':offset=' + parsedAttributes.target_offset + ':linear=true:print_format=summary'
+                    });
+                } else {
+                    _.each(_self.streams.audioStreams, function(stream, i) {
+                        let volume = loudness.volumes[i] * -1 - 2.0;
+                        _self.ffmpegCommand.outputOptions('-filter_complex', '[' + stream.input + ':' + stream.index + ']volume=' + volume + 'dB');
+                        _self.ffmpegCommand.outputOptions('-c:' + stream.input + ':' + stream.index, 'aac');
+                        // FIXME Hardcoded bitrate
+                        let bitratePerChannel = 128;
+                        _self.ffmpegCommand.outputOptions('-b:' + stream.input + ':' + stream.index, bitratePerChannel * stream.channels + 'k');
+                    });
+                }
+            }
 
             function normalize() {
 
@@ -481,10 +983,11 @@ class Video {
                         let unparsedStart = stderr.lastIndexOf('[Parsed_loudnorm') + 38;
                         let unparsed = stderr.substr(unparsedStart).replace(/\r?\n|\r/g, '');
                         parsedAttributes = JSON.parse(unparsed);
-                        _self.ffmpegCommand.audioFilters({
-                            filter: 'loudnorm',
-                            options: 'I=-16:TP=-2.0:LRA=11:measured_I=' + parsedAttributes.input_i + ':measured_LRA=' + parsedAttributes.input_lra + ':measured_TP=' + parsedAttributes.input_tp + ':measured_thresh=' + parsedAttributes.input_thresh + ':offset=' + parsedAttributes.target_offset + ':linear=true:print_format=summary'
-                        });
+                        let loudness = {
+                            loudnorm: parsedAttributes
+                        };
+                        _self._cacheAnalysis('loudness', cacheParams, loudness);
+                        applyLoudness(loudness);
                         return resolve();
                     });
 
@@ -515,14 +1018,11 @@ class Video {
                         // _self.encoder.logger.debug(colors.bgMagenta.white('[ffmpeg]'), stderrLine);
                     }).on('end', function(stderr) {
                         delete _self.stages[_self.currentStageNum].command;
-                        _.each(_self.streams.audioStreams, function(stream, i) {
-                            let volume = volumeLevels[i] * -1 - 2.0;
-                            _self.ffmpegCommand.outputOptions('-filter_complex', '[' + stream.input + ':' + stream.index + ']volume=' + volume + 'dB');
-                            _self.ffmpegCommand.outputOptions('-c:' + stream.input + ':' + stream.index, 'aac');
-                            // FIXME Hardcoded bitrate
-                            let bitratePerChannel = 128;
-                            _self.ffmpegCommand.outputOptions('-b:' + stream.input + ':' + stream.index, bitratePerChannel * stream.channels + 'k');
-                        });
+                        let loudness = {
+                            volumes: volumeLevels
+                        };
+                        _self._cacheAnalysis('loudness', cacheParams, loudness);
+                        applyLoudness(loudness);
                         return resolve();
                     });
 
@@ -536,125 +1036,113 @@ class Video {
     autoCrop() {
         let _self = this;
         return new Promise(function(resolve, reject) {
-            if (_self.options.autocropOff) {
+            if (_self.options.autocropOff && !_self.options.crop) {
                 _self.encoder.logger.debug('Autocrop disabled.');
                 return resolve();
             }
 
-            if (_self.options.normalizeLevel < 1) {
+            if (_self.options.normalizeLevel < 1 && !_self.options.crop) {
                 return resolve();
             }
 
-            const intervals = 12;
-            const interval = _self.metadata.format.duration / (intervals + 1);
+            // The crop is detected on the main stream and would not fit
+            // encoded streams of another size
+            if (_self.options.secondaryVideo === 'encode' && _.some(_self.streams.secondaryVideoStreams, function(stream) {
+                    return stream.width !== _self.videoStream.width || stream.height !== _self.videoStream.height;
+                })) {
+                _self.encoder.logger.alert('Autocrop skipped because secondary video streams of a different size are encoded.');
+                return resolve();
+            }
 
-            function detectCrop(start, fallback) {
-                return new Promise(function(resolve, reject) {
-                    const cropRegexp = /crop=(-?[0-9]+):(-?[0-9]+):(-?[0-9]+):(-?[0-9]+)/g;
-                    _self.stages[_self.currentStageNum].command = new ffmpeg(_self.path, {
-                            logger: _self.encoder.logger
-                        }).outputOptions('-map', _self.videoStream.input + ':' + _self.videoStream.index)
-                        .videoCodec('rawvideo').videoFilters("cropdetect=0.094:2:0").format('null').output('-');
+            const detector = new CropDetector({
+                width: _self.videoStream.width,
+                height: _self.videoStream.height,
+                round: _self.options.cropRound,
+                minConfidence: _self.options.cropConfidence
+            });
 
-                    if (fallback) {
-                        _self.encoder.logger.warn('Crop detection failed! Running crop detection in fallback mode. This is significantly slower.');
-                    } else {
-                        _self.stages[_self.currentStageNum].command.frames(2).seekInput(start);
-                    }
+            if (_self.options.crop) {
+                _self.cropDetection = {
+                    manual: true
+                };
+                applyCrop(detector.parse(_self.options.crop));
+                return resolve();
+            }
 
-                    let crop = {};
+            const samples = _self.options.cropSamples || 100;
+            const cacheParams = {
+                stream: _self.videoStream.index,
+                samples: samples,
+                round: detector.round,
+                confidence: detector.minConfidence
+            };
 
-                    _self.stages[_self.currentStageNum].command
-                        .on('start', function(commandLine) {
-                            if (_self.paused)
-                                _self.pause();
+            // Sample frames spread over the whole video in one pass. Decoding
+            // only keyframes keeps it fast, videos with too few of them are
+            // decoded in full.
+            function detectCrop(keyframesOnly) {
+                let detections = [];
+                let command = new ffmpeg(_self.path, {
+                        logger: _self.encoder.logger
+                    }).outputOptions('-map', _self.videoStream.input + ':' + _self.videoStream.index)
+                    .videoFilters(CropDetector.filters(parseFloat(_self.metadata.format.duration) / samples))
+                    .noAudio().format('null').output('-')
+                    .on('stderr', function(line) {
+                        let crop = CropDetector.parseLine(line);
+                        if (crop) {
+                            detections.push(crop);
+                            _self.encoder.logger.info('Crop Detection:', detections.length + '/' + samples, {
+                                __clearLine: true
+                            });
+                        }
+                    });
 
-                            _self.encoder.logger.debug('Running Query:', commandLine);
-                        })
-                        .on('end', function(stdout, stderr) {
-                            delete _self.stages[_self.currentStageNum].command;
+                if (keyframesOnly)
+                    command.inputOptions('-skip_frame', 'nokey');
 
-                            let match = cropRegexp.exec(stderr);
-                            if (match === null) {
-                                return reject(new Error('Could not run crop detection.'));
-                            }
+                return _self._runCommand(command).then(function() {
+                    return detections;
+                });
+            }
 
-                            crop.w = parseInt(match[1], 10);
-                            crop.h = parseInt(match[2], 10);
-                            crop.x = parseInt(match[3], 10);
-                            crop.y = parseInt(match[4], 10);
-                            resolve(crop);
-                        })
-                        // .on('stderr', function(line) {
-                        //     this.encoder.logger.debug(line);
-                        // })
-                        .on('error', function(err, stdout, stderr) {
-                            _self.encoder.logger.debug(err.stack);
+            _self._getCachedAnalysis('crop', cacheParams).then(function(detection) {
+                if (detection !== undefined)
+                    return detection;
 
-                            if (err.message.startsWith('ffmpeg was killed with signal'))
-                                return reject(new Error('ENDING'));
-                            else
-                                return reject(err);
-                        });
+                return detectCrop(true).then(function(detections) {
+                    if (detections.length >= detector.minSamples)
+                        return detections;
 
-                    _self.stages[_self.currentStageNum].command.run();
+                    _self.encoder.logger.warn('Too few keyframes for crop detection! Decoding every frame instead. This is significantly slower.');
+                    return detectCrop(false);
+                }).then(function(detections) {
+                    let detection = detector.choose(detections);
+                    _self._cacheAnalysis('crop', cacheParams, detection);
+                    return detection;
                 });
-            }
+            }).then(function(detection) {
+                _self.cropDetection = _.omit(detection, 'crop');
+                if (!detection.crop) {
+                    _self.encoder.logger.verbose('Not cropping:', detection.reason + '.');
+                    return;
+                }
 
-            //
-            let i = intervals,
-                counter = 1,
-                cropDetections = [];
-
-            // This just runs all the ffmpeg crop detections in sync so you
-            // dont end up with a million threads running
-            function syncHandler(crop) {
-                if (crop)
-                    cropDetections.push(crop);
-                if (i > 0) {
-                    _self.encoder.logger.info('Crop Detection:', (counter++) + '/' + intervals, {
-                        __clearLine: true
-                    });
-                    let startTime = interval * i--;
-                    detectCrop(startTime).then(syncHandler, function() {
-                        return detectCrop(startTime, true).then(function(crop) {
-                            cropDetections.push(crop);
-                            cropDetectionComplete(cropDetections);
-                        }, reject);
-                    });
-                } else
-                    cropDetectionComplete(cropDetections);
-            }
-            syncHandler();
-
-
-
-            // TODO: this seems overly complicated and inefficent.
-            // detections is an array of objects, for example
-            // [ { w: '1920', h: '1072', x: '0', y: '4' },
-            //   { w: '1920', h: '1072', x: '0', y: '4' },
-            //   { w: '1920', h: '1076', x: '0', y: '2' } ]
-            function cropDetectionComplete(detections) {
-                let width = Number.NEGATIVE_INFINITY,
-                    height = Number.NEGATIVE_INFINITY,
-                    x = Number.POSITIVE_INFINITY,
-                    y = Number.POSITIVE_INFINITY;
-                _.each(detections, function(val, key) {
-                    if (val.w > width) {
-                        width = val.w;
-                        x = val.x;
-                    }
-                    if (val.h > height) {
-                        height = val.h;
-                        y = val.y;
-                    }
-                });
+                _self.encoder.logger.verbose('Crop confidence', Math.round(detection.confidence * 100) + '% over', detection.samples, 'frames.');
+                applyCrop(detection.crop);
+            }).then(resolve, function(err) {
+                _self.encoder.logger.debug(err.stack);
+
+                if (err.message.startsWith('ffmpeg was killed with signal'))
+                    return reject(new Error('ENDING'));
+                reject(err);
+            });
 
-                if (width !== _self.videoStream.width || height !== _self.videoStream.height) {
-                    _self.encoder.logger.alert('Output will be cropped to', width + 'x' + height + '.', 'Originally', _self.videoStream.width + 'x' + _self.videoStream.height);
-                    _self.ffmpegCommand.videoFilters('crop=' + width + ':' + height + ':' + x + ':' + y);
+            function applyCrop(crop) {
+                if (crop.width !== _self.videoStream.width || crop.height !== _self.videoStream.height) {
+                    _self.encoder.logger.alert('Output will be cropped to', crop.width + 'x' + crop.height + '.', 'Originally', _self.videoStream.width + 'x' + _self.videoStream.height);
+                    _self.ffmpegCommand.videoFilters('crop=' + crop.width + ':' + crop.height + ':' + crop.x + ':' + crop.y);
+                    _self.crop = crop;
                 }
-                resolve();
             }
         });
     }
@@ -665,41 +1153,54 @@ class Video {
             if (_self.options.normalizeLevel < 3)
                 return resolve();
 
-            let framesToScan = 250;
-            _self.stages[_self.currentStageNum] = ffmpeg(_self.path).videoFilters('idet').frames(framesToScan).outputOptions('-map v')
-                .format('rawvideo').outputFormat('null').output('-')
-                .on('start', function(commandLine) {
-                    if (_self.paused)
-                        _self.pause();
+            const cacheParams = {
+                stream: _self.videoStream.index
+            };
 
-                    _self.encoder.logger.debug('Running Query:', commandLine);
-                })
-                .on('end', function(stdout, stderr) {
-                    let lines = stderr.split('\n');
-                    let lastLine = lines[lines.length - 2].replace(/ /g, '');
-                    let numFrames = lastLine.match(new RegExp('TFF:([0-9]+)BFF:([0-9]+)Progressive:([0-9]+)'));
-                    let interlacedFrameCount = parseInt(numFrames[1]) + parseInt(numFrames[2]);
-                    let progressiveFrameCount = parseInt(numFrames[3]);
-
-                    if (interlacedFrameCount >= progressiveFrameCount) {
-                        _self.interlaced = true;
-                        _self.ffmpegCommand.videoFilters('yadif');
-                        _self.encoder.logger.alert('Interlaced video detected. Output will be deinterlaced.');
-                        return resolve();
-                    } else {
-                        _self.interlaced = false;
-                        return resolve();
-                    }
-                })
-                .on('error', function(err, stdout, stderr) {
-                    _self.encoder.logger.debug(err.stack);
+            function applyInterlaced(interlaced) {
+                _self.interlaced = interlaced;
+                if (interlaced) {
+                    _self.ffmpegCommand.videoFilters('yadif');
+                    _self.encoder.logger.alert('Interlaced video detected. Output will be deinterlaced.');
+                }
+                resolve();
+            }
 
-                    if (err.message.startsWith('ffmpeg was killed with signal'))
-                        return reject(new Error('ENDING'));
-                    else
-                        return reject(err);
-                })
-                .run();
+            _self._getCachedAnalysis('interlace', cacheParams).then(function(interlaced) {
+                if (interlaced !== undefined)
+                    return applyInterlaced(interlaced);
+
+                let framesToScan = 250;
+                _self.stages[_self.currentStageNum].command = ffmpeg(_self.path).videoFilters('idet').frames(framesToScan).outputOptions('-map v')
+                    .format('rawvideo').outputFormat('null').output('-')
+                    .on('start', function(commandLine) {
+                        if (_self.paused)
+                            _self.pause();
+
+                        _self.encoder.logger.debug('Running Query:', commandLine);
+                    })
+                    .on('end', function(stdout, stderr) {
+                        delete _self.stages[_self.currentStageNum].command;
+                        let lines = stderr.split('\n');
+                        let lastLine = lines[lines.length - 2].replace(/ /g, '');
+                        let numFrames = lastLine.match(new RegExp('TFF:([0-9]+)BFF:([0-9]+)Progressive:([0-9]+)'));
+                        let interlacedFrameCount = parseInt(numFrames[1]) + parseInt(numFrames[2]);
+                        let progressiveFrameCount = parseInt(numFrames[3]);
+                        let interlaced = interlacedFrameCount >= progressiveFrameCount;
+
+                        _self._cacheAnalysis('interlace', cacheParams, interlaced);
+                        applyInterlaced(interlaced);
+                    })
+                    .on('error', function(err, stdout, stderr) {
+                        _self.encoder.logger.debug(err.stack);
+
+                        if (err.message.startsWith('ffmpeg was killed with signal'))
+                            return reject(new Error('ENDING'));
+                        else
+                            return reject(err);
+                    });
+                _self.stages[_self.currentStageNum].command.run();
+            }).catch(reject);
         });
     }
 
@@ -714,6 +1215,26 @@ class Video {
                 profile: _self.videoStream.profile,
                 'bit depth': _self.videoBitDepth
             });
+            _self.videoStream.outputCodec = 'libx265';
+            _self.mappedVideoStreams = [_self.videoStream];
+
+            // Secondary video streams, e.g. alternate angles
+            if (_self.options.secondaryVideo !== 'drop') {
+                _.each(_self.streams.secondaryVideoStreams, function(stream) {
+                    _self.ffmpegCommand.outputOptions('-map', stream.input + ':' + stream.index);
+                    stream.outputCodec = _self.options.secondaryVideo === 'encode' ? 'libx265' : 'copy';
+                    _self.mappedVideoStreams.push(stream);
+                    _self.encoder.logger.debug('Secondary video stream', stream.input + ':' + stream.index, 'mapped.', {
+                        size: stream.width + 'x' + stream.height,
+                        codec: stream.codec_long_name,
+                        output: stream.outputCodec
+                    });
+                });
+            } else {
+                _.each(_self.streams.secondaryVideoStreams, function(stream) {
+                    _self.encoder.logger.verbose('Secondary video stream', stream.input + ':' + stream.index, 'dropped.');
+                });
+            }
 
             // Handle native language detection and default audio track selection
             _.each(_self.streams.audioStreams, function(stream, i) {
@@ -739,9 +1260,9 @@ class Video {
                     _self.ffmpegCommand.outputOptions('-metadata:s:a:' + i, 'title="' + audioTitle + '"');
                 }
 
-                // Set default audio
-                if (_self.defaultAudioIndex && _self.defaultAudioIndex === stream.index) {
-                    _self.ffmpegCommand.outputOptions('-metadata:s:' + stream.input + ':' + stream.index, 'DISPOSITION:default=1');
+                // Set default audio, only one stream may be the default
+                if (_self.defaultAudioIndex) {
+                    _self.ffmpegCommand.outputOptions('-disposition:a:' + i, helpers.formatDisposition(stream, _self.defaultAudioIndex === stream.index));
                 }
 
                 let extraInfo = {
@@ -784,6 +1305,10 @@ class Video {
             // Other streams (Attachments: fonts, pictures, etc.)
             _.each(_self.streams.otherStreams, function(stream, i) {
                 _self.ffmpegCommand.outputOptions('-map', stream.input + ':' + stream.index);
+                if (stream.codec_type === 'video') {
+                    stream.outputCodec = 'copy';
+                    _self.mappedVideoStreams.push(stream);
+                }
                 _self.encoder.logger.debug('Other stream', stream.input + ':' + stream.index, 'mapped.');
             });
 
@@ -801,6 +1326,7 @@ class Video {
                 if (stream.codec_name !== 'flac' || _self.options.forceHeAudio) {
                     _self.encoder.logger.verbose('Audio stream', colors.yellow(helpers.getStreamTitle(stream) + ' (index: ' + stream.index + ')'), 'will be encoded to HE Audio.');
                     _self.ffmpegCommand.outputOptions('-c:a:' + i, 'libopus');
+                    stream.outputCodec = 'libopus';
                     _self.ffmpegCommand.outputOptions('-frame_duration', 60);
                     if (_self.options.downmixHeAudio && stream.channels > 3) {
                         // Downmix HE Audio
@@ -831,15 +1357,437 @@ class Video {
         });
     }
 
-    encode() {
+    // Pick the video bitrate that makes the output fit --target-size and
+    // encode it in two passes
+    fitTargetSize() {
         let _self = this;
         return new Promise(function(resolve, reject) {
-            _self.pass++;
-            let startTime = moment();
+            if (!_self.options.targetSize)
+                return resolve();
+
+            const targetSize = _self.options.targetSize * 1000 * 1000;
+            const duration = _self.options.preview ? _self.options.previewLength / 1000 : parseFloat(_self.metadata.format.duration);
+
+            // Everything besides the main video stream, HE audio at the
+            // bitrate it is encoded with and the rest as it is copied
+            let otherBitrate = 0;
+            let streams = _.without(_self.mappedVideoStreams, _self.videoStream)
+                .concat(_self.streams.audioStreams, _self.streams.subtitleStreams, _.reject(_self.streams.otherStreams, {
+                    codec_type: 'video'
+                }));
+            _.each(streams, function(stream) {
+                if (stream.outputCodec === 'libopus') {
+                    otherBitrate += _self.options.HEAudioBitrate * stream.channels * 1000;
+                } else if (stream.codec_type === 'video' && stream.outputCodec === 'libx265') {
+                    _self.encoder.logger.warn('Encoded secondary video stream', stream.index, 'is not counted for the target size.');
+                } else if (helpers.getStreamBitrate(stream)) {
+                    otherBitrate += helpers.getStreamBitrate(stream);
+                } else if (stream.codec_type !== 'attachment' && !helpers.isAttachedPicture(stream)) {
+                    _self.encoder.logger.warn('Bitrate of', stream.codec_type, 'stream', stream.index, 'is unknown, the output may be larger than the target size.');
+                }
+            });
+
+            const videoBitrate = helpers.getTargetBitrate(targetSize, duration, otherBitrate);
+            if (videoBitrate <= 0)
+                return reject(new Error('Target size of ' + _self.options.targetSize + ' MB is too small for the audio and other streams (' + Math.round(otherBitrate / 1000) + ' kb/s).'));
+
+            // Frame size after cropping and scaling
+            let width = _self.crop ? _self.crop.width : _self.videoStream.width;
+            let height = _self.crop ? _self.crop.height : _self.videoStream.height;
+            if (_self.options.scale) {
+                width = Math.round(width * _self.options.scale / height);
+                height = _self.options.scale;
+            }
+            const bitsPerPixel = videoBitrate * 1000 / (width * height * math.eval(_self.videoStream.avg_frame_rate));
+
+            _self.targetSize = {
+                size: _self.options.targetSize,
+                videoBitrate: videoBitrate,
+                bitsPerPixel: parseFloat(bitsPerPixel.toFixed(4))
+            };
+            _self.encoder.logger.verbose('Encoding', colors.yellow(videoBitrate + ' kb/s'), 'of video to fit', _self.options.targetSize, 'MB.');
+            if (bitsPerPixel < helpers.getMinBitsPerPixel(width, height))
+                _self.encoder.logger.warn('Target size leaves', bitsPerPixel.toFixed(3), 'bits per pixel for', width + 'x' + height + ',', 'expect a poor picture.');
+
+            if (_self.options.videoBitrate)
+                _self.encoder.logger.warn('Video bitrate replaced by the target size.');
+            _self.options.videoBitrate = videoBitrate;
+            _self.options.multiPass = Math.max(_self.options.multiPass || 0, 2);
+            resolve();
+        });
+    }
+
+    // Encode a few sample segments at several CRFs, score them against the
+    // source and encode with the highest CRF that reaches the target score
+    searchQuality() {
+        let _self = this;
+        return new Promise(function(resolve, reject) {
+            if (!_self.options.targetQuality)
+                return resolve();
+
+            if (_self.options.videoBitrate) {
+                _self.encoder.logger.warn('Target quality ignored because a video bitrate is set.');
+                return resolve();
+            }
+
+            let search;
+            try {
+                search = new QualitySearch({
+                    metric: _self.options.qualityMetric,
+                    target: _self.options.targetQuality,
+                    min: _self.options.minCrf,
+                    max: _self.options.maxCrf
+                });
+            } catch (err) {
+                return reject(err);
+            }
+
+            // Samples are cut from the filtered source losslessly, so the
+            // encodes are compared with exactly what they were made from
+            const filters = _self._getVideoFilters();
+            const samples = QualitySearch.samplePositions(parseFloat(_self.metadata.format.duration), _self.options.qualitySamples || 3, 10);
+            const cacheParams = {
+                stream: _self.videoStream.index,
+                metric: search.metric,
+                target: search.target,
+                min: search.min,
+                max: search.max,
+                samples: _.cloneDeep(samples),
+                filters: filters,
+                preset: _self.options.preset,
+                pixFmt: _self.pixFmt,
+                x265Options: _self.x265Options
+            };
+            const tempBase = Path.join(os.tmpdir(), 'h265ize-' + process.pid + '-' + _self.id + '-quality');
+            let metrics = ['ssim', 'psnr'];
+
+            function cutReferences() {
+                return Promise.mapSeries(samples, function(sample, i) {
+                    sample.reference = tempBase + '-reference' + i + '.mkv';
+                    _self.temp.files.push(sample.reference);
+
+                    let command = new ffmpeg(_self.path, {
+                            logger: _self.encoder.logger
+                        }).seekInput(sample.start).duration(sample.length)
+                        .outputOptions('-map', _self.videoStream.input + ':' + _self.videoStream.index)
+                        .outputOptions('-pix_fmt', _self.pixFmt)
+                        .videoCodec('ffv1').noAudio()
+                        .output(sample.reference);
+                    if (filters.length)
+                        command.videoFilters(filters);
+                    return _self._runCommand(command);
+                });
+            }
+
+            // Average scores of the samples encoded at a CRF
+            function measure(crf) {
+                _self.encoder.logger.verbose('Encoding quality samples at CRF', crf + '...');
+                return Promise.mapSeries(samples, function(sample, i) {
+                    let encoded = tempBase + '-crf' + crf + '-' + i + '.mkv';
+                    _self.temp.files.push(encoded);
+
+                    let command = new ffmpeg(sample.reference, {
+                            logger: _self.encoder.logger
+                        }).videoCodec('libx265').noAudio()
+                        .outputOptions('-crf', crf)
+                        .outputOptions('-pix_fmt', _self.pixFmt)
+                        .output(encoded);
+                    if (_self.options.preset)
+                        command.outputOptions('-preset', _self.options.preset);
+
+                    let x265Options = _self.x265Options;
+                    if (_self.threadShare) {
+                        command.outputOptions('-threads', _self.threadShare.threads);
+                        x265Options += (x265Options ? ':' : '') + 'pools=' + _self.threadShare.pools + ':frame-threads=' + _self.threadShare.frameThreads;
+                    }
+                    if (x265Options)
+                        command.outputOptions('-x265-params', x265Options);
+
+                    return _self._runCommand(command).then(function() {
+                        return _self._runCommand(new ffmpeg(encoded, {
+                                logger: _self.encoder.logger
+                            }).input(sample.reference)
+                            .complexFilter(QualitySearch.metricFilter(metrics))
+                            .format('null').output('-'));
+                    }).then(function(stderr) {
+                        fs.removeSync(encoded);
+                        _.pull(_self.temp.files, encoded);
+                        return QualitySearch.parseScores(stderr);
+                    });
+                }).then(function(results) {
+                    let scores = {};
+                    _.each(metrics, function(metric) {
+                        scores[metric] = _.meanBy(results, metric);
+                    });
+                    _self.encoder.logger.verbose('CRF', crf, 'scores:', scores);
+                    return scores;
+                });
+            }
+
+            function runSearch() {
+                return new Promise(function(resolve, reject) {
+                    ffmpeg.getAvailableFilters(function(err, available) {
+                        if (err)
+                            return reject(err);
+
+                        if (available.libvmaf) {
+                            metrics.push('vmaf');
+                        } else if (search.metric === 'vmaf') {
+                            return reject(new Error('The vmaf metric needs an ffmpeg built with libvmaf.'));
+                        }
+                        resolve();
+                    });
+                }).then(cutReferences).then(function() {
+                    return search.search(measure);
+                }).then(function(result) {
+                    _self._cacheAnalysis('crf', cacheParams, result);
+                    return result;
+                }).finally(function() {
+                    _.each(samples, function(sample) {
+                        if (sample.reference) {
+                            fs.removeSync(sample.reference);
+                            _.pull(_self.temp.files, sample.reference);
+                        }
+                    });
+                });
+            }
+
+            _self._getCachedAnalysis('crf', cacheParams).then(function(result) {
+                return result !== undefined ? result : runSearch();
+            }).then(function(result) {
+                _self.qualitySearch = result;
+                _self.options.quality = result.crf;
+
+                if (result.met) {
+                    _self.encoder.logger.alert('Using CRF', result.crf, 'with a', result.metric, 'score of', result.score.toFixed(4) + '.');
+                } else {
+                    _self.encoder.logger.warn('No CRF reaches a', result.metric, 'score of', result.target + ', using the lowest CRF', result.crf, 'with a score of', result.score.toFixed(4) + '.');
+                }
+                resolve();
+            }).catch(reject);
+        });
+    }
+
+    // Plan mode: finish the encode command without running it and describe
+    // what the encode would do
+    buildPlan() {
+        let _self = this;
+        return new Promise(function(resolve, reject) {
+            _self._setEncodeOptions();
+            _self.ffmpegCommand.output(_self.output.path);
+
+            // fluent-ffmpeg has no public way to get the arguments it would run
+            let args = _self.ffmpegCommand._getArguments();
+
+            function describeStream(stream, codec) {
+                return {
+                    map: stream.input + ':' + stream.index,
+                    type: stream.codec_type,
+                    codec: stream.codec_name,
+                    output: codec,
+                    language: helpers.normalizeStreamLanguage(stream),
+                    title: helpers.getStreamTitle(stream) || null
+                };
+            }
+
+            _self.plan = {
+                input: _self.path,
+                output: _self.output.path,
+                command: helpers.formatCommand([process.env.FFMPEG_PATH || 'ffmpeg'].concat(args)),
+                args: args,
+                streams: _.map(_.difference(_self.mappedVideoStreams, _self.streams.otherStreams), function(stream) {
+                        return describeStream(stream, stream.outputCodec);
+                    })
+                    .concat(_.map(_self.streams.audioStreams, function(stream) {
+                        return describeStream(stream, stream.outputCodec || 'copy');
+                    }))
+                    .concat(_.map(_self.streams.subtitleStreams.concat(_self.streams.otherStreams), function(stream) {
+                        return describeStream(stream, 'copy');
+                    })),
+                pixFmt: _self.pixFmt,
+                crop: _self.crop ? _self.crop.width + ':' + _self.crop.height + ':' + _self.crop.x + ':' + _self.crop.y : null,
+                cropDetection: _self.cropDetection || null,
+                deinterlace: !!_self.interlaced,
+                hdr: _self.color ? _self.color.hdr : null,
+                tonemap: _self._isTonemapped() ? _self.options.tonemap : null,
+                targetSize: _self.targetSize || null,
+                x265Options: _self.x265Options
+            };
+
+            _self.events.emit('plan', _self.plan);
+            resolve();
+        });
+    }
+
+    // Encode the main video stream in chunks, as many at once as the encoder
+    // lends job slots for, and list them for the concat demuxer. The Encode
+    // stage then muxes them with the other streams without re-encoding.
+    encodeChunks() {
+        let _self = this;
+        return new Promise(function(resolve, reject) {
+            if (_self.options.test || !_self._isChunked())
+                return resolve();
+
+            const duration = parseFloat(_self.metadata.format.duration);
+            const tempBase = Path.join(os.tmpdir(), 'h265ize-' + process.pid + '-' + _self.id + '-chunk');
+            const filters = _self._getVideoFilters();
+            const startTime = moment();
+            let chunks;
+            let next = 0;
+            let finished = 0;
+            let encoded = 0;
+            let outputSize = 0;
+            let failed = false;
+
+            _self.chunkCommands = [];
+
+            function encodeChunk(chunk, slot) {
+                let share = slot ? slot.share : _self.threadShare;
+                let command = new ffmpeg(_self.path, {
+                        logger: _self.encoder.logger
+                    }).renice(10).seekInput(chunk.start).duration(chunk.length)
+                    .outputOptions('-map', '0:' + _self.videoStream.index)
+                    .videoCodec('libx265')
+                    .outputOptions('-pix_fmt', _self.pixFmt);
+                if (filters.length)
+                    command.videoFilters(filters);
+                _.each(_self.colorTags, function(value, option) {
+                    command.outputOptions(option, value);
+                });
+                _self._setCodecOptions(command, share);
+                command.output(chunk.path);
+                command.slot = slot;
+
+                _self.chunkCommands.push(command);
+                _self.temp.files.push(chunk.path);
+                return new Promise(function(resolve, reject) {
+                    command
+                        .on('start', function(commandLine) {
+                            if (_self.paused)
+                                command.kill('SIGTSTP');
+                            _self._pinCommand(command, slot ? slot.share : _self.threadShare);
+                            _self.encoder.logger.debug('Running Query:', commandLine);
+                        })
+                        .on('error', function(err) {
+                            if (err.message.startsWith('ffmpeg was killed with signal'))
+                                return reject(new Error('FFMPEGKILLED'));
+                            reject(err);
+                        })
+                        .on('end', resolve);
+                    command.run();
+                }).finally(function() {
+                    _.pull(_self.chunkCommands, command);
+                });
+            }
+
+            function reportProgress() {
+                let elapsed = moment.duration(moment().diff(startTime), 'milliseconds');
+                let speed = encoded / elapsed.asSeconds();
+                _self.elapsedFormated = elapsed.format('hh:mm:ss', {
+                    trim: false,
+                    forceLength: true
+                });
+                _self.progress = {
+                    percent: (encoded / duration * 100).toFixed(1),
+                    elapsed: _self.elapsedFormated,
+                    eta: moment.duration((duration - encoded) / speed, 'seconds').format('hh:mm:ss', {
+                        trim: false,
+                        forceLength: true
+                    }),
+                    speed: speed.toFixed(3),
+                    outputSize: outputSize,
+                    projectedSize: outputSize / encoded * duration
+                };
+
+                _self.encoder.logger.info(colors.bgMagenta.white('[ffmpeg]'), 'Encoded chunk', finished + '/' + chunks.length, _self.progress.percent + '%', '|',
+                    colors.yellow(_self.elapsedFormated), '[x' + _self.progress.speed + ']', colors.blue(_self.progress.eta), colors.blue(filesize(_self.progress.projectedSize)));
+                _self.events.emit('progress', _self.progress);
+
+                if (_self._isOversized(outputSize, encoded / duration * 100)) {
+                    _self._abortOversized(outputSize, encoded / duration * 100);
+                    failed = true;
+                    _.invokeMap(_self.chunkCommands, 'kill');
+                    resolve();
+                }
+            }
+
+            function launch(slot) {
+                let chunk = chunks[next++];
+                encodeChunk(chunk, slot).then(function() {
+                    if (slot)
+                        _self.encoder.releaseChunkSlot(slot);
+                    if (failed)
+                        return;
+
+                    finished++;
+                    encoded += chunk.length;
+                    outputSize += fs.statSync(chunk.path).size;
+                    reportProgress();
+
+                    if (failed)
+                        return;
+                    if (finished === chunks.length)
+                        return resolve();
+
+                    // The video's own slot keeps going until every chunk
+                    // is taken, lent slots are handed back after each one
+                    if (!slot && next < chunks.length)
+                        launch(null);
+                    borrowSlots();
+                }, function(err) {
+                    if (slot)
+                        _self.encoder.releaseChunkSlot(slot);
+                    if (failed)
+                        return;
+
+                    failed = true;
+                    _.invokeMap(_self.chunkCommands, 'kill');
+                    reject(err.message === 'FFMPEGKILLED' ? err : new Error('ffmpeg exited with an error while encoding a chunk.'));
+                });
+            }
+
+            function borrowSlots() {
+                let slot;
+                while (next < chunks.length && _self.encoder.claimChunkSlot && (slot = _self.encoder.claimChunkSlot(_self)))
+                    launch(slot);
+            }
+
+            _self._findChunkCuts().then(function(cuts) {
+                chunks = helpers.getChunks(cuts, duration, _self.options.chunkLength);
+                if (chunks.length < 2) {
+                    _self.encoder.logger.verbose('No cut points to split the video at, encoding it in one piece.');
+                    return resolve();
+                }
+
+                _.each(chunks, function(chunk, i) {
+                    chunk.path = tempBase + i + '.mkv';
+                });
+                _self.chunkList = tempBase + 's.txt';
+                _self.temp.files.push(_self.chunkList);
+                fs.writeFileSync(_self.chunkList, _.map(chunks, function(chunk) {
+                    return 'file \'' + chunk.path.replace(/'/g, '\'\\\'\'') + '\'';
+                }).join('\n') + '\n');
+
+                _self.encoder.logger.verbose('Encoding', chunks.length, 'chunks split at', _self.options.chunkSplit === 'scene' ? 'scene cuts.' : 'keyframes.');
+                launch(null);
+                borrowSlots();
+            }).catch(reject);
+        });
+    }
+
+    encode() {
+        let _self = this;
+        return new Promise(function(resolve, reject) {
+            _self.pass++;
+            let startTime = moment();
 
             if (_self.options.test)
                 return reject(new Error('Test mode! Skipping...'));
 
+            // The chunks already went over --max-size-ratio
+            if (_self.keepOriginal)
+                return resolve();
+
             // Make output directory
             if (!_self.options.delete)
                 fs.ensureDir(_self.output.dir, function(err) {
@@ -851,38 +1799,24 @@ class Video {
 
             let frameRate = math.eval(_self.videoStream.avg_frame_rate);
 
-            // Accurate Timestamps
-            if (_self.options.accurateTimestamps)
-                _self._addX265Option('keyint=' + math.eval(_self.videoStream['avg_frame_rate']).toFixed(0));
-
-            // Scale video
-            if (_self.options.scale)
-                _self.ffmpegCommand.videoFilters('scale=-1:' + _self.options.scale);
-
-            // Video bitrate target or constant quality?
-            if (_self.options.videoBitrate) {
-                _self.ffmpegCommand.videoBitrate(_self.options.videoBitrate);
-            } else {
-                _self.ffmpegCommand.outputOptions('-crf ' + _self.options.quality);
-            }
+            if (_self.chunkList)
+                _self._mapChunks();
 
-            // H265 preset
-            if (_self.options.preset)
-                _self.ffmpegCommand.outputOptions('-preset', _self.options.preset);
-
-            // H265 extra options
-            if (_self.options.extraOptions)
-                _self._addX265Option(_self.options.extraOptions);
-
-            if (_self.x265Options)
-                _self.ffmpegCommand.outputOptions('-x265-params', _self.x265Options);
+            _self._setEncodeOptions();
 
             _self.ffmpegCommand
                 .on('progress', function(progress) {
                     let elapsed = moment.duration(moment().diff(startTime), 'milliseconds');
                     let processed = helpers.momentizeTimemark(progress.timemark);
                     let precent = progress.percent ? progress.percent.toFixed(1) : ((processed.asMilliseconds() / 1000 / _self.metadata.format.duration) * 100).toFixed(1);
-                    let estimatedFileSize = precent > 10 ? filesize(fs.statSync(_self.output.path).size / precent * 100) : '';
+                    let outputSize = fs.statSync(_self.output.path).size;
+                    let projectedSize = precent > 10 ? outputSize / precent * 100 : null;
+                    let estimatedFileSize = projectedSize ? filesize(projectedSize) : '';
+
+                    if (!_self.keepOriginal && _self._isOversized(outputSize, precent)) {
+                        _self._abortOversized(outputSize, precent);
+                        _self.ffmpegCommand.kill();
+                    }
                     _self.elapsedFormated = elapsed.format('hh:mm:ss', {
                         trim: false,
                         forceLength: true
@@ -907,7 +1841,9 @@ class Video {
                         frames: progress.frames,
                         elapsed: _self.elapsedFormated,
                         eta: eta,
-                        speed: speed
+                        speed: speed,
+                        outputSize: outputSize,
+                        projectedSize: projectedSize
                     };
 
                     _self.events.emit('progress', _self.progress);
@@ -915,6 +1851,8 @@ class Video {
                 .on('start', function(commandLine) {
                     if (_self.paused)
                         _self.pause();
+                    if (_self.threadShare)
+                        _self.setThreadShare(_self.threadShare);
                     _self.temp.files.push(_self.output.path);
                     _self.encoder.logger.debug('Running Query:', commandLine);
                 })
@@ -923,14 +1861,24 @@ class Video {
                 // })
                 .on('end', function() {
                     _.pull(_self.temp.files, _self.output.path);
+                    _self._removeStatsFile();
                     resolve();
                 })
                 .on('error', function(err, stdout, stderr) {
 
+                    // Aborted because it isn't saving space, see checkSize
+                    if (_self.keepOriginal) {
+                        _self._removeStatsFile();
+                        return resolve();
+                    }
+
                     if (err.message.startsWith('ffmpeg was killed with signal'))
-                        reject(new Error('FFMPEGKILLED'));
-                    else
-                        reject(new Error('ffmpeg exited with an error.'));
+                        return reject(new Error('FFMPEGKILLED'));
+
+                    let error = new Error('ffmpeg exited with an error.');
+                    // Remember which stream broke the encode so a retry can drop it
+                    error.stream = helpers.findFailingStream(stderr);
+                    reject(error);
                 });
             _self.ffmpegCommand.output(_self.output.path, {
                 end: true
@@ -954,6 +1902,10 @@ class Video {
         });
     }
 
+    // Analysis passes of a multipass encode, the Encode stage runs the final
+    // pass. They only encode the video stream, to nowhere. Each video has its
+    // own stats file, kept until the final pass is done, so an interrupted
+    // encode picks up from the final pass.
     multiPass() {
         let _self = this;
         return new Promise(function(resolve, reject) {
@@ -964,72 +1916,396 @@ class Video {
             if (!_self.options.videoBitrate)
                 return reject(new Error('Multipass is only compatable with bitrate encoding, not constant quality encoding.'));
 
-            if (_self.pass >= _self.options.multiPass)
-                return resolve();
-
-            let newInput = _self.output.path + '-pass' + _self.pass;
-            _self.ffmpegCommand = new ffmpeg(newInput, {
-                    logger: _self.encoder.logger
-                })
-                //.inputOptions('-loglevel', 48)
-                .outputOptions('-map', 0)
-                .outputOptions('-c', 'copy')
-                .outputOptions('-c:v', 'libx265');
+            const filters = _self._getVideoFilters();
+            const stats = _self._getStatsFile(filters);
+            const done = stats + '.done';
+            _self.statsFile = stats;
 
-            let statsLogLocation = Path.resolve(os.tmpdir(), 'x265stats.log');
+            function finalPass() {
+                _self._addX265Option('pass=2:stats=' + stats);
+                resolve();
+            }
 
-            if (_self.options.multiPass === _self.pass + 1) {
-                _self._addX265Option('pass=2:stats=' + statsLogLocation);
-            } else {
-                _self._addX265Option('pass=3:stats=' + statsLogLocation);
+            if (fs.existsSync(done) && fs.existsSync(stats)) {
+                _self.encoder.logger.verbose('Reusing the analysis of an earlier run from', colors.yellow(stats) + '.');
+                return finalPass();
             }
 
-            return fs.move(_self.output.path, newInput, {
-                clobber: true
-            }, function(err) {
-                if (err) {
-                    _self.encoder.logger.error(err.message);
-                    _self.encoder.logger.debug(err.stack);
+            // x265 refines the stats in the passes between the first and the
+            // last one
+            let passes = _.range(1, _self.options.multiPass);
+            Promise.mapSeries(passes, function(pass) {
+                _self.encoder.logger.verbose('Running pass', pass, 'of', _self.options.multiPass + '.');
 
-                    return reject(new Error('Error moving file ' + colors.yellow(_self.output.path) + ' to ' + colors.yellow(newInput) + '.'));
-                }
+                let command = new ffmpeg(_self.path, {
+                        logger: _self.encoder.logger
+                    }).renice(10)
+                    .outputOptions('-map', _self.videoStream.input + ':' + _self.videoStream.index)
+                    .videoCodec('libx265')
+                    .outputOptions('-pix_fmt', _self.pixFmt)
+                    .format('null').output('-');
+                if (filters.length)
+                    command.videoFilters(filters);
+                if (_self.options.preview)
+                    command.seekInput(_self.metadata.format.duration / 2).duration(_self.options.previewLength / 1000);
+                _self._setCodecOptions(command, _self.threadShare, pass === 1 ? 'pass=1:slow-firstpass=0:stats=' + stats : 'pass=3:stats=' + stats);
+
+                return _self._runCommand(command);
+            }).then(function() {
+                fs.writeFileSync(done, '');
+                finalPass();
+            }).catch(reject);
+        });
+    }
 
-                _self._updatePath(newInput);
-                _self.temp.files.push(statsLogLocation);
-                _self.temp.files.push(newInput);
+    // Stats file of a multipass encode, named after everything the analysis
+    // depends on so a later run only reuses matching stats
+    _getStatsFile(filters) {
+        let stats = fs.statSync(this.path);
+        let hash = crypto.createHash('sha1').update(JSON.stringify({
+            path: Path.resolve(this.path),
+            size: stats.size,
+            mtime: stats.mtime.getTime(),
+            stream: this.videoStream.index,
+            filters: filters,
+            pixFmt: this.pixFmt,
+            passes: this.options.multiPass,
+            bitrate: this.options.videoBitrate,
+            preset: this.options.preset,
+            preview: this.options.preview,
+            x265Options: this.x265Options,
+            extraOptions: this.options.extraOptions
+        })).digest('hex');
+
+        return Path.join(os.tmpdir(), 'h265ize-' + hash + '-x265stats.log');
+    }
 
-                _self.encoder.logger.verbose('Running pass', _self.pass + 1 + '.');
-                return _self.setVideoBitDepth().then(function() {
-                    return _self.encode.call(_self);
-                }).then(function() {
-                    return _self.multiPass.call(_self);
-                }).then(resolve, reject);
-            });
+    // Remove a multipass encode's stats once its final pass is done
+    _removeStatsFile() {
+        if (!this.statsFile)
+            return;
+
+        _.each([this.statsFile, this.statsFile + '.cutree', this.statsFile + '.done'], function(file) {
+            fs.removeSync(file);
         });
     }
 
     verifyEncode() {
         let _self = this;
         return new Promise(function(resolve, reject) {
+            // A remux of the original keeps all of its streams untouched,
+            // there is nothing to compare with the mapping
+            if (_self.keepOriginal) {
+                return Video.getMetadata(_self, true).then(function(metadata) {
+                    _self.output.metadata = metadata;
+                    _self.outputSize = parseInt(metadata.format.size, 10);
+                    _self.ratio = (metadata.format.size / _self.metadata.format.size * 100).toFixed(2);
+                }).then(resolve, reject);
+            }
+
             Video.getMetadata(_self, true).then(function(metadata) {
                 const oldMetadata = _self.metadata;
-                const timeDiffLimit = 1; // in seconds
+                const timeDiffLimit = _self.options.maxTimeSlippage !== undefined ? _self.options.maxTimeSlippage : 1; // in seconds
                 _self.output.metadata = metadata;
+                _self.outputSize = parseInt(metadata.format.size, 10);
                 _self.ratio = (_self.output.metadata.format.size / oldMetadata.format.size * 100).toFixed(2);
                 _self.encoder.logger.debug('Original Duration:', oldMetadata.format.duration + '(s)\t', 'New Duration:', metadata.format.duration + '(s)');
                 let timeDiff = oldMetadata.format.duration - metadata.format.duration;
-                // TODO: TimeDiffLimit
-                if (timeDiff > timeDiffLimit && !_self.options.preview) {
-                    _self.encoder.logger.warn('New encode is', timeDiff, 'seconds longer than the original. The max is', timeDiffLimit, 'seconds.');
-                    fs.unlinkSync(_self.output.path);
-                    reject(new Error('Processed encode did not meet max time slippage requirements.'));
-                } else {
-                    resolve();
+
+                // Itemised checks, every one of them has to pass
+                _self.checks = [{
+                    name: 'duration',
+                    passed: Math.abs(timeDiff) <= timeDiffLimit || !!_self.options.preview,
+                    detail: Math.abs(timeDiff).toFixed(2) + 's ' + (timeDiff > 0 ? 'shorter' : 'longer') + ' than the original, the max is ' + timeDiffLimit + 's'
+                }].concat(_self._checkStreams(metadata));
+
+                return _self._checkDecode();
+            }).then(function(decodeCheck) {
+                if (decodeCheck)
+                    _self.checks.push(decodeCheck);
+
+                _.each(_self.checks, function(check) {
+                    if (check.passed) {
+                        _self.encoder.logger.verbose('Check', check.name, colors.green('passed') + ':', check.detail);
+                    } else {
+                        _self.encoder.logger.warn('Check', check.name, colors.red('failed') + ':', check.detail);
+                    }
+                });
+
+                let failed = _.reject(_self.checks, 'passed');
+                if (failed.length) {
+                    fs.removeSync(_self.output.path);
+                    throw new Error('Processed encode failed verification: ' + _.map(failed, 'name').join(', ') + '.');
                 }
+
+                return _self._verifyQuality();
+            }).then(resolve, reject);
+        });
+    }
+
+    // Compare the output's streams with what mapStreams mapped: counts per
+    // type, languages, dispositions and how far audio ends from the video
+    _checkStreams(metadata) {
+        let _self = this;
+        let output = _.groupBy(metadata.streams, function(stream) {
+            return _.includes(['video', 'audio', 'subtitle'], stream.codec_type) ? stream.codec_type : 'other';
+        });
+        let expected = {
+            video: _self.mappedVideoStreams || [_self.videoStream],
+            audio: _self.streams.audioStreams,
+            subtitle: _self.streams.subtitleStreams,
+            other: _.reject(_self.streams.otherStreams, {
+                codec_type: 'video'
+            })
+        };
+        let outputStream = function(type, i) {
+            return (output[type] || [])[i];
+        };
+        let checks = [];
+
+        _.each(expected, function(streams, type) {
+            let found = (output[type] || []).length;
+            checks.push({
+                name: type + ' streams',
+                passed: found === streams.length,
+                detail: found + ' of ' + streams.length + ' found'
+            });
+        });
+
+        _.each(['audio', 'subtitle'], function(type) {
+            let mismatches = [];
+            _.each(expected[type], function(stream, i) {
+                let language = helpers.normalizeStreamLanguage(stream);
+                let found = outputStream(type, i);
+                if (language && found && helpers.normalizeStreamLanguage(found) !== language)
+                    mismatches.push(type + ' #' + i + ' is ' + (helpers.normalizeStreamLanguage(found) || 'undefined') + ' instead of ' + language);
+            });
+            checks.push({
+                name: type + ' languages',
+                passed: !mismatches.length,
+                detail: mismatches.join(', ') || 'all match'
+            });
+        });
+
+        let mismatches = [];
+        if (_self.defaultAudioIndex) {
+            let i = _.findIndex(expected.audio, {
+                index: _self.defaultAudioIndex
+            });
+            let found = outputStream('audio', i);
+            if (i > -1 && !(found && found.disposition && found.disposition.default))
+                mismatches.push('audio #' + i + ' is not the default');
+        }
+        _.each(expected.video, function(stream, i) {
+            if (helpers.isAttachedPicture(stream) && !helpers.isAttachedPicture(outputStream('video', i) || {}))
+                mismatches.push('video #' + i + ' is no longer an attached picture');
+        });
+        checks.push({
+            name: 'dispositions',
+            passed: !mismatches.length,
+            detail: mismatches.join(', ') || 'all match'
+        });
+
+        // Audio may end as far from the video as it does in the source, plus
+        // the allowed time slippage
+        let limit = _self.options.maxTimeSlippage !== undefined ? _self.options.maxTimeSlippage : 1;
+        let videoEnd = helpers.getStreamDuration(outputStream('video', 0) || {});
+        let sourceVideoEnd = helpers.getStreamDuration(_self.videoStream);
+        let drifts = [];
+        _.each(expected.audio, function(stream, i) {
+            let found = outputStream('audio', i);
+            let audioEnd = found ? helpers.getStreamDuration(found) : 0;
+            if (!videoEnd || !audioEnd)
+                return;
+
+            let sourceDrift = sourceVideoEnd && helpers.getStreamDuration(stream) ? Math.abs(helpers.getStreamDuration(stream) - sourceVideoEnd) : 0;
+            drifts.push({
+                stream: i,
+                drift: Math.abs(audioEnd - videoEnd),
+                allowed: sourceDrift + limit
+            });
+        });
+        let drifted = _.filter(drifts, function(drift) {
+            return drift.drift > drift.allowed;
+        });
+        checks.push({
+            name: 'audio drift',
+            passed: !drifted.length,
+            detail: drifts.length ? _.map(drifted.length ? drifted : drifts, function(drift) {
+                return 'audio #' + drift.stream + ' ends ' + drift.drift.toFixed(2) + 's from the video (max ' + drift.allowed.toFixed(2) + 's)';
+            }).join(', ') : 'stream durations unknown'
+        });
+
+        return checks;
+    }
+
+    // Decode the output, or sample segments of it, and collect errors
+    _checkDecode() {
+        let _self = this;
+        let mode = _self.options.verifyDecode || 'sampled';
+        if (mode === 'off')
+            return Promise.resolve(null);
+
+        let samples = mode === 'full' ? [null] : QualitySearch.samplePositions(parseFloat(_self.output.metadata.format.duration), _self.options.verifySamples || 3, 10);
+
+        return Promise.mapSeries(samples, function(sample) {
+            let command = new ffmpeg({
+                    logger: _self.encoder.logger
+                }).input(_self.output.path).inputOptions('-v', 'error')
+                .outputOptions('-map', '0:v:0')
+                .outputOptions('-map', '0:a?')
+                .format('null').output('-');
+            if (sample)
+                command.seekInput(sample.start).inputOptions('-t', sample.length);
+
+            return _self._runCommand(command).then(function(stderr) {
+                return _.compact(_.map(stderr.split('\n'), _.trim));
+            }, function(err) {
+                return [err.message];
+            });
+        }).then(function(results) {
+            let errors = _.flatten(results);
+            return {
+                name: 'decode',
+                passed: !errors.length,
+                detail: errors.length ? errors.length + ' errors, the first: ' + errors[0] : (mode === 'full' ? 'decoded' : samples.length + ' segments decoded') + ' without errors'
+            };
+        });
+    }
+
+    // Compare sample segments of the output with the source. The scores are
+    // kept with the video's result, encodes below the threshold are deleted.
+    _verifyQuality() {
+        let _self = this;
+        if (!_self.options.verifyQuality)
+            return Promise.resolve();
+
+        const metric = _self.options.verifyMetric || 'ssim';
+        const threshold = _self.options.verifyQuality;
+        const pixFmt = _self.pixFmt || 'yuv420p';
+
+        // A preview starts in the middle of the source
+        const offset = _self.options.preview ? _self.metadata.format.duration / 2 : 0;
+        const samples = QualitySearch.samplePositions(parseFloat(_self.output.metadata.format.duration), _self.options.verifySamples || 3, 10);
+
+        // The source goes through the encode's filters so both match in size
+        // and color
+        const reference = [].concat(_self.encodeFilters || [], 'format=' + pixFmt).join(',');
+        const graph = '[0:v:0]format=' + pixFmt + '[distorted];' +
+            '[1:' + _self.videoStream.index + ']' + reference + '[reference];' +
+            QualitySearch.metricFilter(['ssim', 'psnr'], 'distorted', 'reference');
+
+        return Promise.mapSeries(samples, function(sample) {
+            return _self._runCommand(new ffmpeg({
+                    logger: _self.encoder.logger
+                })
+                .input(_self.output.path).seekInput(sample.start).inputOptions('-t', sample.length)
+                .input(_self.path).seekInput(sample.start + offset).inputOptions('-t', sample.length)
+                .complexFilter(graph)
+                .format('null').output('-')).then(function(stderr) {
+                return _.assign({
+                    start: sample.start
+                }, QualitySearch.parseScores(stderr));
+            });
+        }).then(function(results) {
+            let scores = {
+                ssim: _.meanBy(results, 'ssim'),
+                psnr: _.meanBy(results, 'psnr')
+            };
+
+            _self.verification = {
+                metric: metric,
+                threshold: threshold,
+                scores: scores,
+                samples: results,
+                passed: scores[metric] >= threshold
+            };
+            _self.checks.push({
+                name: 'quality',
+                passed: _self.verification.passed,
+                detail: metric + ' ' + scores[metric].toFixed(4) + ', the minimum is ' + threshold
             });
+            _self.events.emit('verified', _self.verification);
+
+            if (!_self.verification.passed) {
+                _self.encoder.logger.warn('Encode has a', metric, 'score of', scores[metric].toFixed(4) + ', the minimum is', threshold + '.');
+                fs.removeSync(_self.output.path);
+                let error = new Error('Processed encode did not meet the ' + metric + ' quality threshold.');
+                error.qualityGate = true;
+                throw error;
+            }
+            _self.encoder.logger.verbose('Encode passed the quality check with a', metric, 'score of', scores[metric].toFixed(4) + '.');
+        });
+    }
+
+    // Whether an output of `outputSize` bytes at `percent` percent of the
+    // encode is projected to end up above --max-size-ratio
+    _isOversized(outputSize, percent) {
+        let maxRatio = this.options.maxSizeRatio / 100;
+        let warmup = this.options.sizeWarmup !== undefined ? this.options.sizeWarmup : 10;
+        if (!maxRatio || !(percent > 0) || percent < warmup)
+            return false;
+
+        return outputSize / percent * 100 > this.inputSize * maxRatio;
+    }
+
+    _abortOversized(outputSize, percent) {
+        this.keepOriginal = {
+            reason: 'projected',
+            ratio: parseFloat((outputSize / percent * 100 / this.inputSize * 100).toFixed(1))
+        };
+        this.encoder.logger.warn('Projected output is', this.keepOriginal.ratio + '% of the source after encoding', parseFloat(percent).toFixed(1) + '%, aborting.');
+    }
+
+    // Keep the original when the encode isn't saving enough space, whether
+    // it was aborted early or is larger once finished. The encoder remembers
+    // the source in its state file so later runs skip it.
+    checkSize() {
+        let _self = this;
+        return new Promise(function(resolve, reject) {
+            if (!_self.options.maxSizeRatio)
+                return resolve();
+
+            if (!_self.keepOriginal) {
+                let outputSize = fs.statSync(_self.output.path).size;
+                if (outputSize <= _self.inputSize * _self.options.maxSizeRatio / 100)
+                    return resolve();
+
+                _self.keepOriginal = {
+                    reason: 'finished',
+                    ratio: parseFloat((outputSize / _self.inputSize * 100).toFixed(1))
+                };
+                _self.encoder.logger.warn('Output is', _self.keepOriginal.ratio + '% of the source.');
+            }
+
+            _self.keepOriginal.action = _self.options.oversizeAction || 'keep';
+            fs.removeSync(_self.output.path);
+            _.pull(_self.temp.files, _self.output.path);
+
+            if (_self.keepOriginal.action === 'remux') {
+                _self.encoder.logger.info('Remuxing the original to', colors.yellow(_self.output.path) + '.');
+                _self.temp.files.push(_self.output.path);
+                return _self._runCommand(new ffmpeg(_self.path, {
+                        logger: _self.encoder.logger
+                    }).outputOptions('-map', 0).outputOptions('-c', 'copy').outputOptions('-map_chapters', 0)
+                    .output(_self.output.path)).then(function() {
+                    _.pull(_self.temp.files, _self.output.path);
+                }).then(resolve, reject);
+            }
+
+            _self.encoder.logger.info('Keeping the original', colors.yellow(_self.base) + '.');
+            _self._keepOriginal();
+            resolve();
         });
     }
 
+    // Finish without an output, the original is the result
+    _keepOriginal() {
+        this.output.path = this.path;
+        this.outputSize = this.inputSize;
+        this.finishedEarly = true;
+    }
+
     move() {
         let _self = this;
         return new Promise(function(resolve, reject) {
@@ -1160,23 +2436,71 @@ class Video {
             if (!_self.options.stats)
                 return resolve();
 
-            helpers.initStatsFile(Path.join(process.cwd(), 'h265ize.csv')).then(function(stream) {
-                helpers.appendToStatsFile([
-                        moment.locale('de'),
-                        moment().format('llll'),
-                        // moment().format('MMMM Do YYYY H:mm:ss a'),
-                        _self.path.name,
-                        filesize(_self.metadata.format.size),
-                        filesize(_self.output.metadata.format.size),
-                        _self.ratio + '%',
-                        _self.elapsedFormated
-                    ], stream)
-                    .then(function() {
-                        stream.close();
-                        resolve();
-                    });
+            // One line per video: date, path, original size, encoded size, ratio, duration
+            let line = [
+                moment().format('MM/DD hh:mm:ss A'),
+                _self.path,
+                filesize(_self.metadata.format.size),
+                filesize(_self.output.metadata.format.size),
+                _self.ratio + '%',
+                _self.elapsedFormated
+            ].join(', ');
+
+            fs.appendFile(Path.join(process.cwd(), 'h265ize.csv'), line + os.EOL, function(err) {
+                if (err)
+                    return reject(err);
+                resolve();
             });
+        });
+    }
 
+    // Set the CPU share handed out by the encoder. Every running ffmpeg
+    // process of the video, whichever stage started it, is moved onto its new
+    // CPUs right away. Thread counts (-threads, x265 pools and frame-threads)
+    // are fixed when ffmpeg starts, so a new count only takes effect with the
+    // next process.
+    setThreadShare(share) {
+        let _self = this;
+        this.threadShare = share;
+
+        let stage = this.stages[this.currentStageNum];
+        _.each(_.uniq(_.compact([this.ffmpegCommand, stage && stage.command])), function(command) {
+            _self._pinCommand(command, share);
+        });
+
+        // Chunks in borrowed job slots keep the slot's share
+        _.each(this.chunkCommands, function(command) {
+            _self._pinCommand(command, command.slot ? command.slot.share : share);
+        });
+    }
+
+    // Move a running ffmpeg process onto the CPUs of a thread share
+    _pinCommand(command, share) {
+        let _self = this;
+        let proc = command.ffmpegProc;
+        if (!share || !proc || proc.exitCode !== null || proc.signalCode !== null)
+            return;
+
+        helpers.setAffinity(proc.pid, share.cpus).catch(function(err) {
+            _self.encoder.logger.debug('Unable to set CPU affinity:', err.message);
+        });
+    }
+
+    on(event, listener) {
+        this.events.on(event, listener);
+        return this;
+    }
+
+    // Runs all stages, resolves when finished and rejects with the error that
+    // made the video fail
+    process() {
+        let _self = this;
+        return new Promise(function(resolve, reject) {
+            _self.events.once('finished', resolve);
+            _self.events.once('failed', function() {
+                reject(_self.error);
+            });
+            _self.start();
         });
     }
 
@@ -1194,13 +2518,21 @@ class Video {
 
         let _self = this;
         this.promiseChain = Promise.reduce(this.stages, function(stageNum, stage) {
+            // A stage may finish the video early, e.g. when the original is kept
+            if (_self.finishedEarly)
+                return;
+
             _self.currentStageNum = _self.currentStageNum + 1;
             _self.currentStage = _self.stages[_self.currentStageNum];
 
             _self.encoder.logger.verbose('Running stage:', stage.name);
             _self.events.emit('stage', stage.name);
 
-            return stage.promise.call(_self).tap(Pauser.waitFor(_self.pauser));
+            // Custom stages may return native promises
+            let stageStart = Date.now();
+            return Promise.resolve(stage.promise.call(_self)).finally(function() {
+                _self.stageTimings[stage.name] = Date.now() - stageStart;
+            }).tap(Pauser.waitFor(_self.pauser));
 
         }, this.currentStageNum).then(function() {
             _self.finishedAt = moment();
@@ -1234,6 +2566,7 @@ class Video {
         if (this.stages[this.currentStageNum].name === 'Encode') {
             this.ffmpegCommand.kill('SIGCONT');
         }
+        _.invokeMap(this.chunkCommands, 'kill', 'SIGCONT');
 
         this.encoder.logger.info('Resumed...');
         this.events.emit('resumed');
@@ -1255,6 +2588,7 @@ class Video {
         if (this.stages[this.currentStageNum].name === 'Encode') {
             this.ffmpegCommand.kill('SIGTSTP');
         }
+        _.invokeMap(this.chunkCommands, 'kill', 'SIGTSTP');
 
         this.encoder.logger.info('Paused...');
         this.events.emit('paused');
@@ -1271,6 +2605,7 @@ class Video {
         // End encoding
         if (this.ffmpegCommand)
             this.ffmpegCommand.kill();
+        _.invokeMap(this.chunkCommands, 'kill');
 
         this.promiseChain.cancel();
 
@@ -1287,7 +2622,7 @@ class Video {
         let _self = this;
         return new Promise(function(resolve, reject) {
             _.each(_self.temp.files, function(path, i) {
-                fs.unlinkSync(path);
+                fs.removeSync(path);
             });
             resolve();
         });
@@ -1359,6 +2694,55 @@ class Video {
         });
     }
 
+    // Color metadata of a video stream. Mastering display and light level
+    // metadata is often only found in the side data of the first frames.
+    static getColorMetadata(video, stream) {
+        return new Promise(function(resolve, reject) {
+            childProcess.execFile(process.env.FFPROBE_PATH || 'ffprobe', ['-v', 'error', '-select_streams', String(stream.index),
+                '-show_streams', '-show_frames', '-read_intervals', '%+#3', '-of', 'json', video.path
+            ], {
+                maxBuffer: 10 * 1024 * 1024
+            }, function(err, stdout) {
+                let probe;
+                try {
+                    if (err)
+                        throw err;
+                    probe = JSON.parse(stdout);
+                } catch (error) {
+                    // Tags are still in the stream info, only the side data is lost
+                    video.encoder.logger.debug('Unable to probe color metadata:', error.message);
+                    probe = {
+                        streams: [stream]
+                    };
+                }
+                resolve(helpers.parseColorMetadata(probe));
+            });
+        });
+    }
+
+    // Keyframe times of a stream in seconds from the start of the video
+    static getKeyframes(video, stream) {
+        return new Promise(function(resolve, reject) {
+            childProcess.execFile(process.env.FFPROBE_PATH || 'ffprobe', ['-v', 'error', '-select_streams', String(stream.index),
+                '-show_entries', 'packet=pts_time,flags', '-of', 'csv=p=0', video.path
+            ], {
+                maxBuffer: 256 * 1024 * 1024
+            }, function(err, stdout) {
+                if (err)
+                    return reject(err);
+
+                let startTime = parseFloat(video.metadata.format.start_time) || 0;
+                let keyframes = _.filter(_.map(stdout.split('\n'), function(line) {
+                    let fields = line.split(',');
+                    return fields[1] && fields[1].charAt(0) === 'K' ? parseFloat(fields[0]) - startTime : NaN;
+                }), function(time) {
+                    return !isNaN(time);
+                });
+                resolve(keyframes);
+            });
+        });
+    }
+
     static takeScreenshots(path, destination, logger) {
         return new Promise(function(resolve, reject) {
 
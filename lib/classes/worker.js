@@ -0,0 +1,323 @@
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const colors = require('colors');
+
+const Video = require('./video.js');
+const ThreadAllocator = require('./threadAllocator.js');
+const StageRegistry = require('./stageRegistry.js');
+const AnalysisCache = require('./analysisCache.js');
+const consoleLogger = require('../consoleLogger.js');
+
+const PROGRESS_FIELDS = ['fps', 'percent', 'frames', 'elapsed', 'eta', 'speed', 'outputSize', 'projectedSize'];
+
+/**
+ * Claims videos from a Coordinator, runs their stages on this machine and
+ * reports progress and results back. Sources and destinations must be
+ * reachable under the same paths as on the coordinator, e.g. a shared NAS
+ * mounted at the same place.
+ */
+class Worker extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.url = new URL(options.url);
+        this.name = options.name || `${os.hostname()}:${process.pid}`;
+        this.token = options.token || null;
+        this.logger = options.logger || consoleLogger;
+        this.jobs = options.jobs || 1;
+        this.pollInterval = options.pollInterval || 5000;
+        this.heartbeatInterval = options.heartbeatInterval || 5000;
+
+        // Give up on a video once the coordinator has been unreachable for
+        // as long as it waits before requeueing it
+        this.leaseTimeout = options.leaseTimeout || 60000;
+
+        // Videos reach into their encoder for these
+        this.enablePreviewStream = false;
+        this.analysisCache = options.analysisCache ? new AnalysisCache({ dir: options.analysisCache, logger: this.logger }) : null;
+        this.threadAllocator = options.balanceThreads !== false ? new ThreadAllocator({ numa: options.numa }) : null;
+
+        // Custom stages have to be registered on the workers as well
+        this.stageRegistry = new StageRegistry(this.logger);
+
+        this.running = false;
+        this.active = new Map();
+
+        // Kept-original records the coordinator sent along with its jobs
+        this.keptOriginals = new Map();
+
+        // Idle job slots lent to videos encoding in chunks, only while the
+        // coordinator has nothing to hand out
+        this.chunkSlots = new Set();
+        this.idle = false;
+    }
+
+    /**
+     * Claim and encode videos until stop() is called
+     */
+    async start() {
+        if (this.running) {
+            throw new Error('Worker is already running');
+        }
+
+        this.running = true;
+        this.logger.info(`Worker ${colors.yellow(this.name)} connecting to ${colors.yellow(this.url.origin)} with ${this.jobs} concurrent jobs...`);
+        this.emit('started');
+
+        const slots = Array.from({ length: this.jobs }, () => this.runSlot());
+        await Promise.all(slots);
+
+        this.emit('stopped');
+    }
+
+    /**
+     * Stop claiming videos and hand the running ones back to the coordinator
+     */
+    async stop() {
+        if (!this.running) {
+            return;
+        }
+
+        this.running = false;
+        this.logger.info('Stopping worker, running videos are handed back to the coordinator...');
+
+        await Promise.all(Array.from(this.active.entries()).map(async ([id, video]) => {
+            video.released = true;
+            video.stop();
+            try {
+                await this.request('POST', `/jobs/${id}/release`, { worker: this.name });
+            } catch (error) {
+                this.logger.debug('Unable to release job:', error.message);
+            }
+        }));
+    }
+
+    async runSlot() {
+        while (this.running) {
+            if (this.active.size + this.chunkSlots.size >= this.jobs) {
+                await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+                continue;
+            }
+
+            let job = null;
+            try {
+                job = await this.claim();
+            } catch (error) {
+                this.logger.debug('Unable to reach the coordinator:', error.message);
+            }
+            this.idle = !job;
+
+            if (!job) {
+                await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+                continue;
+            }
+
+            await this.runJob(job);
+        }
+    }
+
+    async claim() {
+        const response = await this.request('POST', '/jobs/claim', { worker: this.name });
+        if (response.status === 204) {
+            return null;
+        }
+        if (response.status !== 200) {
+            throw new Error(`Claim failed with status ${response.status}`);
+        }
+        return response.body;
+    }
+
+    /**
+     * Encode a claimed video, sending progress as a heartbeat and the result
+     * once its stages are done
+     */
+    async runJob(job) {
+        let video;
+        try {
+            video = this.stageRegistry.apply(new Video(job.path, job.options));
+        } catch (error) {
+            return this.report(job, 'failed', {
+                error: error.message,
+                stage: { name: 'Initialize filesystem', action: 'initializing filesystem' }
+            });
+        }
+        video.encoder = this;
+        this.keptOriginals.set(path.resolve(job.path), job.keptOriginals || []);
+
+        this.logger.info(`Starting: ${colors.yellow(path.basename(job.path))}`);
+        this.active.set(job.id, video);
+        this.balanceThreads();
+
+        let lastContact = Date.now();
+        const heartbeat = async () => {
+            try {
+                const response = await this.request('POST', `/jobs/${job.id}/progress`, {
+                    worker: this.name,
+                    stage: { name: video.currentStage.name, action: video.currentStage.action },
+                    progress: video.progress ? PROGRESS_FIELDS.reduce((progress, field) => {
+                        progress[field] = video.progress[field];
+                        return progress;
+                    }, {}) : null
+                });
+                lastContact = Date.now();
+
+                if (response.status === 410) {
+                    this.logger.warn(`Coordinator took ${colors.yellow(path.basename(job.path))} back, stopping it.`);
+                    video.released = true;
+                    video.stop();
+                } else if (response.body && response.body.action === 'pause' && !video.paused) {
+                    video.pause();
+                } else if (response.body && response.body.action === 'continue' && video.paused) {
+                    video.resume();
+                }
+            } catch (error) {
+                this.logger.debug('Heartbeat failed:', error.message);
+                if (Date.now() - lastContact > this.leaseTimeout) {
+                    this.logger.warn(`Lost the coordinator, stopping ${colors.yellow(path.basename(job.path))}.`);
+                    video.released = true;
+                    video.stop();
+                }
+            }
+        };
+        const heartbeatTimer = setInterval(heartbeat, this.heartbeatInterval);
+        video.on('stage', heartbeat);
+
+        try {
+            await video.process();
+            await this.report(job, 'finished', {
+                result: {
+                    inputSize: video.inputSize,
+                    outputSize: video.outputSize,
+                    output: video.output.path,
+                    duration: video.metadata ? parseFloat(video.metadata.format.duration) : null,
+                    x265Options: video.x265Options,
+                    qualitySearch: video.qualitySearch || null,
+                    verification: video.verification || null,
+                    checks: video.checks || null,
+                    keptOriginal: video.keepOriginal || null,
+                    stages: video.stageTimings
+                }
+            });
+            this.logger.info(`Completed: ${colors.green(path.basename(job.path))}`);
+        } catch (error) {
+            if (!video.released) {
+                this.logger.error(`Failed to process ${colors.red(path.basename(job.path))}: ${error.message}`);
+                await this.report(job, 'failed', {
+                    error: error.message,
+                    stream: error.stream,
+                    qualityGate: !!error.qualityGate,
+                    quality: video.options.quality,
+                    stage: { name: video.currentStage.name, action: video.currentStage.action },
+                    stages: video.stageTimings,
+                    verification: video.verification || null,
+                    checks: video.checks || null
+                });
+            }
+        } finally {
+            clearInterval(heartbeatTimer);
+            this.active.delete(job.id);
+            this.keptOriginals.delete(path.resolve(job.path));
+            this.balanceThreads();
+        }
+    }
+
+    /**
+     * Send a final result, the coordinator requeues the video if it never
+     * arrives
+     */
+    async report(job, result, body) {
+        try {
+            const response = await this.request('POST', `/jobs/${job.id}/${result}`, { worker: this.name, ...body });
+            if (response.status !== 200) {
+                this.logger.warn(`Coordinator rejected the result of ${path.basename(job.path)} with status ${response.status}.`);
+            }
+        } catch (error) {
+            this.logger.warn(`Unable to report the result of ${path.basename(job.path)}: ${error.message}`);
+        }
+        this.emit(result === 'finished' ? 'videoFinished' : 'videoFailed', {
+            video: job.path,
+            id: job.id
+        });
+    }
+
+    /**
+     * Same as Encoder#findKeptOriginal, the coordinator remembers new ones
+     * from the results
+     */
+    findKeptOriginal(videoPath, size) {
+        return (this.keptOriginals.get(path.resolve(videoPath)) || []).find(kept => kept.size === size) || null;
+    }
+
+    balanceThreads() {
+        if (!this.threadAllocator || this.active.size === 0) {
+            return;
+        }
+
+        const videos = Array.from(this.active.values());
+        const slots = Array.from(this.chunkSlots);
+        const shares = this.threadAllocator.allocate(videos.map(video => video.threadShare || {}).concat(slots.map(slot => slot.share || {})));
+        slots.forEach((slot, i) => {
+            slot.share = shares[videos.length + i];
+        });
+        videos.forEach((video, i) => video.setThreadShare(shares[i]));
+    }
+
+    /**
+     * Same as Encoder#claimChunkSlot
+     */
+    claimChunkSlot(video) {
+        if (!this.running || !this.idle || !Array.from(this.active.values()).includes(video) ||
+            this.active.size + this.chunkSlots.size >= this.jobs) {
+            return null;
+        }
+
+        const slot = { video, share: null };
+        this.chunkSlots.add(slot);
+        this.balanceThreads();
+        return slot;
+    }
+
+    releaseChunkSlot(slot) {
+        if (this.chunkSlots.delete(slot)) {
+            this.balanceThreads();
+        }
+    }
+
+    /**
+     * JSON request to the coordinator, resolves { status, body }
+     */
+    request(method, route, body) {
+        const transport = this.url.protocol === 'https:' ? https : http;
+        const payload = body ? JSON.stringify(body) : null;
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = transport.request(new URL(route, this.url), { method, headers, timeout: 30000 }, response => {
+                let data = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => {
+                    data += chunk;
+                });
+                response.on('end', () => {
+                    try {
+                        resolve({ status: response.statusCode, body: data ? JSON.parse(data) : null });
+                    } catch (error) {
+                        reject(new Error(`Invalid response from coordinator: ${error.message}`));
+                    }
+                });
+            });
+            request.on('timeout', () => request.destroy(new Error('Coordinator timed out')));
+            request.on('error', reject);
+            request.end(payload);
+        });
+    }
+}
+
+module.exports = Worker;
@@ -2,6 +2,7 @@ const { spawn } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs').promises;
 const fsSync = require('fs');
+const os = require('os');
 const path = require('path');
 const { Transform } = require('stream');
 
@@ -15,9 +16,532 @@ const colors = require('colors');
 const mime = require('mime');
 const recursive = require('recursive-readdir');
 const optional = require('optional');
+const yargs = require('yargs');
 
 const userSettings = optional("./settings.json") || {};
 
+// Command line options, defaults can be overridden in settings.json
+const cliOptions = {
+    'd': {
+        alias: 'destination',
+        default: userSettings['destination'] || path.resolve(process.cwd(), 'h265'),
+        describe: 'Folder where encoded files are output.',
+        type: 'string',
+        normalize: true,
+        group: 'General:'
+    },
+    'm': {
+        alias: 'preset',
+        default: userSettings['preset'] || 'fast',
+        describe: 'x265 encoder preset.',
+        choices: ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow', 'placebo'],
+        type: 'string',
+        group: 'General:'
+    },
+    'as-preset': {
+        default: userSettings['as-preset'] || 'none',
+        describe: 'My personal presets. Descriptions of each preset\'s use and function can be found on the github page.',
+        choices: ['anime-high', 'anime-medium', 'testing-ssim', 'none'],
+        type: 'string',
+        group: 'Video:'
+    },
+    'n': {
+        alias: 'native-language',
+        default: userSettings['native-language'] || '',
+        describe: 'The native language used to select default audio and subtitles. You may use 3 letter or 2 letter ISO 639-2 Alpha-3/Alpha-2 codes or the full language name. Examples: [eng|en|English|jpn|ja|Japanese]',
+        type: 'string',
+        group: 'General:'
+    },
+    'f': {
+        alias: 'output-format',
+        default: userSettings['output-format'] || 'mkv',
+        describe: 'Output container format.',
+        choices: ['mkv', 'mp4', 'm4v'],
+        type: 'string',
+        group: 'General:'
+    },
+    'x': {
+        alias: 'extra-options',
+        default: userSettings['extra-options'] || '',
+        describe: 'Extra x265 options. Options can be found on the x265 options page.',
+        type: 'string',
+        group: 'Video:'
+    },
+    'q': {
+        alias: 'quality',
+        default: userSettings['quality'] || 19,
+        describe: 'Sets the qp quality target',
+        type: 'number',
+        group: 'General:'
+    },
+    'video-bitrate': {
+        default: userSettings['video-bitrate'] || 0,
+        describe: 'Sets the video bitrate, set to 0 to use qp rate control instead of a target bitrate.',
+        type: 'number',
+        group: 'Video:'
+    },
+    'target-size': {
+        default: userSettings['target-size'] || 0,
+        describe: 'Size in MB (1000 x 1000 bytes) the output should fit. Sets the video bitrate from the duration, the audio and the other streams, and encodes in two passes. Set to 0 to disable.',
+        type: 'number',
+        group: 'Video:'
+    },
+    'l': {
+        alias: 'preview-length',
+        default: userSettings['preview-length'] || 30000,
+        describe: 'Milliseconds to encode in preview mode. Max is half the length of input video.',
+        type: 'number',
+        group: 'Advanced:'
+    },
+    'accurate-timestamps': {
+        default: userSettings['accurate-timestamps'] || false,
+        describe: 'Become blu-ray complient and reduce the max keyInt to the average frame rate.',
+        type: 'boolean',
+        group: 'Video:'
+    },
+    'he-audio': {
+        default: userSettings['he-audio'] || false,
+        describe: 'Re-encode audio to opus at 40kbps/channel.',
+        type: 'boolean',
+        group: 'Audio:'
+    },
+    'force-he-audio': {
+        default: userSettings['force-he-audio'] || false,
+        describe: 'Convert all audio to HE format, including lossless formats.',
+        type: 'boolean',
+        group: 'Audio:'
+    },
+    'downmix-he-audio': {
+        default: userSettings['downmix-he-audio'] || false,
+        describe: 'Downmix he-audio opus to Dolby Pro Logic II at 40 kbps/channel. Enables he-audio.',
+        type: 'boolean',
+        group: 'Audio:'
+    },
+    'o': {
+        alias: 'override',
+        default: userSettings['override'] || false,
+        describe: 'Enable override mode. Allows conversion of videos that are already encoded by the hevc codec.',
+        type: 'boolean',
+        group: 'General:'
+    },
+    'p': {
+        alias: 'preview',
+        default: userSettings['preview'] || false,
+        describe: 'Only encode a preview of the video starting at middle of video. See -l/--preview-length for more info.',
+        type: 'boolean',
+        group: 'General:'
+    },
+    'multi-pass': {
+        default: userSettings['multi-pass'] || 0,
+        describe: 'Enable multiple passes by the encoder. Must be greater than 1.',
+        type: 'number',
+        group: 'Video:'
+    },
+    'autocrop-off': {
+        default: userSettings['autocrop-off'] || false,
+        describe: 'Disables the autocrop detection.',
+        type: 'boolean',
+        group: 'Video:'
+    },
+    'crop': {
+        default: userSettings['crop'] || null,
+        describe: 'Crop to w:h:x:y, or a centered w:h, instead of detecting the crop.',
+        type: 'string',
+        group: 'Video:'
+    },
+    'crop-round': {
+        default: userSettings['crop-round'] || 2,
+        describe: 'Round the detected crop to multiples of this many pixels, e.g. 8 or 16. Must be even.',
+        type: 'number',
+        group: 'Video:'
+    },
+    'crop-samples': {
+        default: userSettings['crop-samples'] || 100,
+        describe: 'Number of frames spread over the video that autocrop looks at.',
+        type: 'number',
+        group: 'Video:'
+    },
+    'crop-confidence': {
+        default: userSettings['crop-confidence'] || 0.5,
+        describe: 'Share of the sampled frames, 0-1, that have to agree on the detected crop for it to be applied.',
+        type: 'number',
+        group: 'Video:'
+    },
+    'keep-date': {
+        default: userSettings['keep-date'] || false,
+        describe: 'Set the date of the encoded video to source video date.',
+        type: 'boolean',
+        group: 'Video:'
+    },
+    'dynamic-hdr': {
+        default: userSettings['dynamic-hdr'] || 'skip',
+        describe: 'What to do with Dolby Vision and HDR10+ sources: skip them or encode their HDR10 base layer without the dynamic metadata.',
+        choices: ['skip', 'hdr10'],
+        type: 'string',
+        group: 'Video:'
+    },
+    'target-quality': {
+        default: userSettings['target-quality'] || 0,
+        describe: 'Score the encode has to reach, the highest CRF that reaches it on a few sample segments is used instead of --quality. Set to 0 to disable. [Examples: ssim 0.98, psnr 42, vmaf 95]',
+        type: 'number',
+        group: 'Video:'
+    },
+    'quality-metric': {
+        default: userSettings['quality-metric'] || 'ssim',
+        describe: 'Metric --target-quality is measured with. vmaf needs an ffmpeg built with libvmaf.',
+        choices: ['ssim', 'psnr', 'vmaf'],
+        type: 'string',
+        group: 'Video:'
+    },
+    'min-crf': {
+        default: userSettings['min-crf'] || 16,
+        describe: 'Lowest CRF --target-quality may pick.',
+        type: 'number',
+        group: 'Video:'
+    },
+    'max-crf': {
+        default: userSettings['max-crf'] || 32,
+        describe: 'Highest CRF --target-quality may pick.',
+        type: 'number',
+        group: 'Video:'
+    },
+    'quality-samples': {
+        default: userSettings['quality-samples'] || 3,
+        describe: 'Number of 10 second segments --target-quality encodes and scores per CRF.',
+        type: 'number',
+        group: 'Video:'
+    },
+    'verify-quality': {
+        default: userSettings['verify-quality'] || 0,
+        describe: 'Minimum score sample segments of an encode must reach against the source, encodes below it are deleted and fail. Set to 0 to disable. [Examples: ssim 0.97, psnr 40]',
+        type: 'number',
+        group: 'Video:'
+    },
+    'verify-metric': {
+        default: userSettings['verify-metric'] || 'ssim',
+        describe: 'Metric --verify-quality is measured with.',
+        choices: ['ssim', 'psnr'],
+        type: 'string',
+        group: 'Video:'
+    },
+    'verify-samples': {
+        default: userSettings['verify-samples'] || 3,
+        describe: 'Number of 10 second segments --verify-quality compares.',
+        type: 'number',
+        group: 'Video:'
+    },
+    'max-size-ratio': {
+        default: userSettings['max-size-ratio'] || 0,
+        describe: 'Largest output size in percent of the source. Encodes projected or finished above it are dropped and the original is kept (see --oversize-action) and skipped by later runs. Set to 0 to disable.',
+        type: 'number',
+        group: 'Video:'
+    },
+    'size-warmup': {
+        default: userSettings['size-warmup'] !== undefined ? userSettings['size-warmup'] : 10,
+        describe: 'Percent of a video that has to be encoded before its projected size is checked against --max-size-ratio.',
+        type: 'number',
+        group: 'Video:'
+    },
+    'oversize-action': {
+        default: userSettings['oversize-action'] || 'keep',
+        describe: 'What to do with the original of an encode above --max-size-ratio: keep it where it is, or remux it into the output unchanged.',
+        choices: ['keep', 'remux'],
+        type: 'string',
+        group: 'Video:'
+    },
+    'max-time-slippage': {
+        default: userSettings['max-time-slippage'] !== undefined ? userSettings['max-time-slippage'] : 1,
+        describe: 'Seconds the duration of an encode may differ from the source before it is deleted and fails.',
+        type: 'number',
+        group: 'Advanced:'
+    },
+    'verify-decode': {
+        default: userSettings['verify-decode'] || 'sampled',
+        describe: 'Decode the encode and fail it on decoding errors: all of it, the --verify-samples segments or not at all.',
+        choices: ['off', 'sampled', 'full'],
+        type: 'string',
+        group: 'Video:'
+    },
+    'tonemap': {
+        default: userSettings['tonemap'] || 'none',
+        describe: 'Tone-map HDR (PQ or HLG) video to BT.709 SDR with this algorithm. Requires an ffmpeg with the zscale filter.',
+        choices: ['none', 'hable', 'mobius', 'reinhard'],
+        type: 'string',
+        group: 'Video:'
+    },
+    'chunk-length': {
+        default: userSettings['chunk-length'] || 0,
+        describe: 'Split videos longer than twice this many seconds into chunks that are encoded in parallel while no other videos are waiting, then joined losslessly. Set to 0 to disable.',
+        type: 'number',
+        group: 'Video:'
+    },
+    'chunk-split': {
+        default: userSettings['chunk-split'] || 'keyframe',
+        describe: 'Where chunks may start: at the keyframes of the source or at scene cuts, which takes a decoding pass.',
+        choices: ['keyframe', 'scene'],
+        type: 'string',
+        group: 'Video:'
+    },
+    'secondary-video': {
+        default: userSettings['secondary-video'] || 'drop',
+        describe: 'What to do with video streams besides the main one, e.g. alternate angles. Cover art is always copied.',
+        choices: ['drop', 'copy', 'encode'],
+        type: 'string',
+        group: 'Video:'
+    },
+    'schedule': {
+        default: userSettings['schedule'] || [],
+        describe: 'Time windows encoding is allowed in, outside of them the encoder pauses. Windows may run past midnight and be limited to days. [Examples: "22:00-06:00", "sat,sun 08:00-20:00"]',
+        type: 'array',
+        group: 'Schedule:'
+    },
+    'schedule-mode': {
+        default: userSettings['schedule-mode'] || 'pause',
+        describe: 'What happens when a schedule window closes: pause running videos or let them finish without starting new ones.',
+        choices: ['pause', 'finish'],
+        type: 'string',
+        group: 'Schedule:'
+    },
+    'max-runtime': {
+        default: userSettings['max-runtime'] || 0,
+        describe: 'Minutes after which no new videos are started. The queue is kept for the next run.',
+        type: 'number',
+        group: 'Schedule:'
+    },
+    'max-files': {
+        default: userSettings['max-files'] || 0,
+        describe: 'Number of videos after which no new videos are started. The queue is kept for the next run.',
+        type: 'number',
+        group: 'Schedule:'
+    },
+    'max-size': {
+        default: userSettings['max-size'] || 0,
+        describe: 'GB of source video after which no new videos are started. The queue is kept for the next run.',
+        type: 'number',
+        group: 'Schedule:'
+    },
+    'disk-reserve': {
+        default: userSettings['disk-reserve'] !== undefined ? userSettings['disk-reserve'] : 1,
+        describe: 'GB of disk space to keep free on the destination and temp disks. Videos are only started when their predicted output fits, encoding pauses when space runs low.',
+        type: 'number',
+        group: 'Advanced:'
+    },
+    'max-load': {
+        default: userSettings['max-load'] || 0,
+        describe: 'Load average per CPU core above which fewer videos are encoded in parallel. Set to 0 to disable.',
+        type: 'number',
+        group: 'Throttling:'
+    },
+    'min-free-memory': {
+        default: userSettings['min-free-memory'] || 0,
+        describe: 'MB of available memory below which running videos are paused. Set to 0 to disable.',
+        type: 'number',
+        group: 'Throttling:'
+    },
+    'max-temperature': {
+        default: userSettings['max-temperature'] || 0,
+        describe: 'CPU temperature in °C above which running videos are paused. Linux only. Set to 0 to disable.',
+        type: 'number',
+        group: 'Throttling:'
+    },
+    'jobs': {
+        default: userSettings['jobs'] || 0,
+        describe: 'Number of videos encoded in parallel. Set to 0 to use the number of CPU cores, up to 4.',
+        type: 'number',
+        group: 'Advanced:'
+    },
+    'adaptive-jobs': {
+        default: userSettings['adaptive-jobs'] || false,
+        describe: 'Measure the total encoding speed and adjust the number of parallel videos to the fastest setting, starting from --jobs.',
+        type: 'boolean',
+        group: 'Advanced:'
+    },
+    'min-jobs': {
+        default: userSettings['min-jobs'] || 1,
+        describe: 'Fewest parallel videos --adaptive-jobs may use.',
+        type: 'number',
+        group: 'Advanced:'
+    },
+    'max-jobs': {
+        default: userSettings['max-jobs'] || 0,
+        describe: 'Most parallel videos --adaptive-jobs may use. Set to 0 to use the number of CPU cores.',
+        type: 'number',
+        group: 'Advanced:'
+    },
+    'numa': {
+        default: userSettings['numa'] || false,
+        describe: 'Pin each parallel encode to a single NUMA node.',
+        type: 'boolean',
+        group: 'Advanced:'
+    },
+    'disable-upconvert': {
+        default: userSettings['disable-upconvert'] || false,
+        describe: 'Stop converting vobsub subtitles to srt. Only works with mkv\'s.',
+        type: 'boolean',
+        group: 'Advanced:'
+    },
+    'retries': {
+        default: userSettings['retries'] || 0,
+        describe: 'Number of times a failed video is retried.',
+        type: 'number',
+        group: 'Advanced:'
+    },
+    'retry-delay': {
+        default: userSettings['retry-delay'] !== undefined ? userSettings['retry-delay'] : 30,
+        describe: 'Seconds to wait before the first retry, doubled for every following retry.',
+        type: 'number',
+        group: 'Advanced:'
+    },
+    'retry-fallbacks': {
+        default: userSettings['retry-fallbacks'] || '',
+        describe: 'Comma separated fallback steps, one applied per retry. Steps: disable-upconvert, drop-failing-subtitle or an option override like preset=veryfast.',
+        type: 'string',
+        group: 'Advanced:'
+    },
+    'stats': {
+        default: userSettings['stats'] || false,
+        describe: 'Output a stats file containing stats for each video converted.',
+        type: 'boolean',
+        group: 'Advanced:'
+    },
+    'report': {
+        default: userSettings['report'] || '',
+        describe: 'Write a report with the results of every video to this file when the batch ends.',
+        type: 'string',
+        group: 'Advanced:'
+    },
+    'report-format': {
+        default: userSettings['report-format'] || '',
+        describe: 'Format of the report, guessed from the report file extension when not set.',
+        choices: ['', 'json', 'csv', 'html'],
+        type: 'string',
+        group: 'Advanced:'
+    },
+    'analysis-cache': {
+        default: userSettings['analysis-cache'] !== undefined ? userSettings['analysis-cache'] : path.join(os.homedir(), '.h265ize', 'analysis'),
+        describe: 'Directory crop, interlace and loudness results are cached in so retries and later runs skip them. Set to an empty string to disable.',
+        type: 'string',
+        group: 'Advanced:'
+    },
+    'reanalyze': {
+        default: userSettings['reanalyze'] || false,
+        describe: 'Ignore cached analysis results and run every analysis again.',
+        type: 'boolean',
+        group: 'Advanced:'
+    },
+    'state-file': {
+        default: userSettings['state-file'] !== undefined ? userSettings['state-file'] : path.resolve(process.cwd(), 'h265ize-state.json'),
+        describe: 'File the queue and results are saved to, so an interrupted run picks up where it left off. Set to an empty string to disable.',
+        type: 'string',
+        group: 'Advanced:'
+    },
+    'v': {
+        alias: 'verbose',
+        default: userSettings['verbose'] || false,
+        describe: 'Enables verbose mode. Prints extra information.',
+        type: 'boolean',
+        group: 'General:'
+    },
+    'watch': {
+        default: userSettings['watch'] || '',
+        describe: 'Watches a directory for new video files to be converted.',
+        type: 'string',
+        group: 'Advanced:'
+    },
+    'bitdepth': {
+        default: userSettings['bitdepth'] || 0,
+        describe: 'Forces encoding videos at a specific bitdepth. Set to 0 to maintain original bitdepth.',
+        type: 'number',
+        group: 'Video:'
+    },
+    'screenshots': {
+        default: userSettings['screenshots'] || false,
+        describe: 'Take 6 screenshots at regular intervals throughout the finished encode.',
+        type: 'boolean',
+        group: 'Video:'
+    },
+    'normalize-level': {
+        default: userSettings['normalize-level'] || 2,
+        describe: 'Level of normalization to be applied. See https://github.com/FallingSnow/h265ize/issues/56 for more info.',
+        type: 'number',
+        group: 'Advanced:'
+    },
+    'scale': {
+        default: userSettings['scale'] || false,
+        describe: 'Width videos should be scaled to. Videos will always maintain original aspect ratio. [Examples: 720, 480]',
+        type: 'number',
+        group: 'Video:'
+    },
+    'debug': {
+        default: userSettings['debug'] || false,
+        describe: 'Enables debug mode. Prints extra debugging information.',
+        type: 'boolean',
+        group: 'Advanced:'
+    },
+    'delete': {
+        default: userSettings['delete'] || false,
+        describe: 'Delete source after encoding is complete and replaces it with new encode. [DANGER]',
+        type: 'boolean',
+        group: 'Advanced:'
+    },
+    'help': {
+        describe: 'Displays help page.',
+        group: 'Options:'
+    },
+    'test': {
+        default: userSettings['test'] || false,
+        describe: 'Puts h265ize in test mode. No files will be encoded.',
+        type: 'boolean',
+        group: 'Advanced:'
+    },
+    'coordinator': {
+        default: userSettings['coordinator'] || '',
+        describe: 'Hand the queue out to workers instead of encoding locally. Listens on [host:]port. [Example: 0.0.0.0:7265]',
+        type: 'string',
+        group: 'Distributed:'
+    },
+    'worker': {
+        default: userSettings['worker'] || '',
+        describe: 'Encode videos claimed from the coordinator at this url. Paths must be the same as on the coordinator. [Example: http://nas:7265]',
+        type: 'string',
+        group: 'Distributed:'
+    },
+    'worker-jobs': {
+        default: userSettings['worker-jobs'] || 1,
+        describe: 'Number of videos a worker encodes at the same time.',
+        type: 'number',
+        group: 'Distributed:'
+    },
+    'cluster-token': {
+        default: userSettings['cluster-token'] || '',
+        describe: 'Shared secret the coordinator requires from its workers.',
+        type: 'string',
+        group: 'Distributed:'
+    },
+    'stage-plugins': {
+        default: userSettings['stage-plugins'] || [],
+        describe: 'npm modules or paths adding custom stages to every video. See README for the plugin format.',
+        type: 'array',
+        group: 'Advanced:'
+    },
+    'plan': {
+        default: userSettings['plan'] || false,
+        describe: 'Analyse the videos and print the ffmpeg command, stream map, pixel format, crop and output path each encode would use, without encoding.',
+        type: 'boolean',
+        group: 'Advanced:'
+    },
+    'plan-file': {
+        default: userSettings['plan-file'] || '',
+        describe: 'Also write the plans as JSON to this file. Implies --plan.',
+        type: 'string',
+        group: 'Advanced:'
+    },
+    'version': {
+        describe: 'Displays version information.',
+        group: 'Options:'
+    }
+};
+
 // Optimized date formatting (replaces moment.js)
 const formatDate = (date, format = 'full') => {
     const options = {
@@ -217,6 +741,275 @@ const optimizedHelpers = {
         return channelMap[channels] || `${channels} channels`;
     },
 
+    // Pin a process and all its threads to a set of CPUs, resolves false
+    // where taskset is unavailable
+    setAffinity: (pid, cpus) => {
+        if (process.platform !== 'linux' || !hasbin.sync('taskset')) {
+            return Promise.resolve(false);
+        }
+
+        return new Promise((resolve, reject) => {
+            const taskset = spawn('taskset', ['-a', '-p', '-c', cpus.join(','), String(pid)]);
+
+            taskset.on('close', (code) => {
+                if (code !== 0) {
+                    return reject(new Error(`taskset failed with code ${code}`));
+                }
+                resolve(true);
+            });
+
+            taskset.on('error', reject);
+        });
+    },
+
+    // Cover art is muxed as a single frame video stream
+    isAttachedPicture: (stream) => {
+        return !!(stream.disposition && stream.disposition.attached_pic);
+    },
+
+    // Value for ffmpeg's -disposition that keeps a stream's flags but sets
+    // or clears the default flag
+    formatDisposition: (stream, isDefault) => {
+        const flags = Object.keys(stream.disposition || {})
+            .filter(flag => flag !== 'default' && stream.disposition[flag] === 1);
+        if (isDefault) {
+            flags.unshift('default');
+        }
+        return flags.length ? flags.join('+') : '0';
+    },
+
+    // Duration of a stream in seconds, matroska only keeps it in the tags
+    getStreamDuration: (stream) => {
+        const duration = parseFloat(stream.duration);
+        if (!isNaN(duration)) {
+            return duration;
+        }
+
+        const tag = stream.tags && (stream.tags.DURATION || Object.keys(stream.tags)
+            .filter(key => /^DURATION/i.test(key))
+            .map(key => stream.tags[key])[0]);
+        const match = /^(\d+):(\d+):(\d+(?:\.\d+)?)$/.exec(tag || '');
+        if (!match) {
+            return 0;
+        }
+        return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+    },
+
+    // The main video stream: the longest one, then the largest, then the one
+    // flagged as default. Durations within 1% of each other count as equal.
+    selectMainVideoStream: (streams) => {
+        const rank = (a, b) => {
+            const durationA = optimizedHelpers.getStreamDuration(a);
+            const durationB = optimizedHelpers.getStreamDuration(b);
+            if (Math.abs(durationA - durationB) > Math.max(durationA, durationB) * 0.01) {
+                return durationB - durationA;
+            }
+
+            const areaA = (a.width || 0) * (a.height || 0);
+            const areaB = (b.width || 0) * (b.height || 0);
+            if (areaA !== areaB) {
+                return areaB - areaA;
+            }
+
+            const defaultA = a.disposition && a.disposition.default ? 1 : 0;
+            const defaultB = b.disposition && b.disposition.default ? 1 : 0;
+            return defaultB - defaultA || a.index - b.index;
+        };
+
+        return streams.slice().sort(rank)[0];
+    },
+
+    // Color tags, HDR10 static metadata and dynamic HDR formats of a video
+    // stream, from ffprobe JSON output with its first frames
+    parseColorMetadata: (probe) => {
+        const stream = (probe.streams || [])[0] || {};
+        const sideData = (stream.side_data_list || []).concat(...(probe.frames || []).map(frame => frame.side_data_list || []));
+        const find = type => sideData.find(data => (data.side_data_type || '').indexOf(type) > -1);
+        const known = value => value && value !== 'unknown' && value !== 'reserved' && value !== 'unspecified' ? value : null;
+        const rational = value => {
+            const [numerator, denominator] = String(value).split('/');
+            return denominator ? numerator / denominator : Number(numerator);
+        };
+
+        const color = {
+            primaries: known(stream.color_primaries),
+            transfer: known(stream.color_transfer),
+            matrix: known(stream.color_space),
+            range: known(stream.color_range),
+            hdr: null,
+            masterDisplay: null,
+            maxCll: null,
+            dolbyVision: null,
+            hdr10Plus: !!find('SMPTE2094-40')
+        };
+
+        if (color.transfer === 'smpte2084') {
+            color.hdr = 'hdr10';
+        } else if (color.transfer === 'arib-std-b67') {
+            color.hdr = 'hlg';
+        }
+
+        // x265 wants chromaticities in 0.00002 and luminance in 0.0001 cd/m2
+        const mastering = find('Mastering display metadata');
+        if (mastering && mastering.red_x !== undefined && mastering.max_luminance !== undefined) {
+            const xy = (x, y) => `(${Math.round(rational(x) * 50000)},${Math.round(rational(y) * 50000)})`;
+            color.masterDisplay = 'G' + xy(mastering.green_x, mastering.green_y) +
+                'B' + xy(mastering.blue_x, mastering.blue_y) +
+                'R' + xy(mastering.red_x, mastering.red_y) +
+                'WP' + xy(mastering.white_point_x, mastering.white_point_y) +
+                `L(${Math.round(rational(mastering.max_luminance) * 10000)},${Math.round(rational(mastering.min_luminance) * 10000)})`;
+        }
+
+        const lightLevel = find('Content light level metadata');
+        if (lightLevel) {
+            color.maxCll = `${lightLevel.max_content || 0},${lightLevel.max_average || 0}`;
+        }
+
+        const dovi = find('DOVI configuration record');
+        if (dovi || /^dv(h1|he)$/.test(stream.codec_tag_string)) {
+            color.dolbyVision = {
+                profile: dovi ? dovi.dv_profile : null,
+                compatibility: dovi ? dovi.dv_bl_signal_compatibility_id : null
+            };
+        }
+
+        return color;
+    },
+
+    // x265 options carrying the color tags and HDR10 metadata of a source
+    getX265ColorOptions: (color) => {
+        const names = {
+            gbr: 'GBR',
+            ycgco: 'YCgCo',
+            tv: 'limited',
+            pc: 'full'
+        };
+        const options = [];
+        const add = (option, value) => value && options.push(`${option}=${names[value] || value}`);
+
+        add('colorprim', color.primaries);
+        add('transfer', color.transfer);
+        add('colormatrix', color.matrix);
+        add('range', color.range);
+        add('master-display', color.masterDisplay);
+        add('max-cll', color.maxCll);
+        if (color.hdr === 'hdr10') {
+            options.push('hdr10-opt=1');
+        }
+        return options;
+    },
+
+    // zscale/tonemap filter chain turning PQ or HLG video into BT.709 SDR
+    getTonemapFilters: (color, algorithm, pixFmt = 'yuv420p') => {
+        return [
+            `zscale=tin=${color.transfer}:pin=${color.primaries || 'bt2020'}:min=${color.matrix || 'bt2020nc'}:rin=${color.range || 'tv'}:t=linear:npl=100`,
+            'format=gbrpf32le',
+            'zscale=p=bt709',
+            `tonemap=tonemap=${algorithm}:desat=0`,
+            'zscale=t=bt709:m=bt709:r=tv',
+            `format=${pixFmt}`
+        ];
+    },
+
+    // Chunks of about `length` seconds starting at the given cut points
+    // (keyframes or scene cuts), a short last chunk is merged into the one
+    // before it
+    getChunks: (cuts, duration, length) => {
+        const starts = [0];
+        for (const cut of cuts.slice().sort((a, b) => a - b)) {
+            if (cut - starts[starts.length - 1] >= length && duration - cut >= length / 2) {
+                starts.push(cut);
+            }
+        }
+
+        return starts.map((start, i) => ({
+            start,
+            length: (i + 1 < starts.length ? starts[i + 1] : duration) - start
+        }));
+    },
+
+    // Bitrate of a stream in bits per second, matroska only keeps it in the
+    // tags. Null when unknown.
+    getStreamBitrate: (stream) => {
+        const bitrate = parseInt(stream.bit_rate, 10);
+        if (bitrate > 0) {
+            return bitrate;
+        }
+
+        const tag = stream.tags && (stream.tags.BPS || Object.keys(stream.tags)
+            .filter(key => /^BPS/i.test(key))
+            .map(key => stream.tags[key])[0]);
+        return parseInt(tag, 10) > 0 ? parseInt(tag, 10) : null;
+    },
+
+    // Video bitrate in kb/s that makes `duration` seconds fit `targetSize`
+    // bytes next to the other streams (`otherBitrate` in b/s), keeping a
+    // fraction of the size for the container
+    getTargetBitrate: (targetSize, duration, otherBitrate, overhead = 0.01) => {
+        return Math.floor((targetSize * 8 * (1 - overhead) / duration - otherBitrate) / 1000);
+    },
+
+    // Fewest bits per pixel and frame x265 still gives a watchable picture
+    // with, larger frames get by with less
+    getMinBitsPerPixel: (width, height) => {
+        const area = width * height;
+        if (area <= 720 * 576) return 0.04;
+        if (area <= 1280 * 720) return 0.03;
+        if (area <= 1920 * 1080) return 0.02;
+        return 0.012;
+    },
+
+    // How a crop was picked, from a CropDetector result or a manual crop
+    describeCropDetection: (detection) => {
+        if (detection.manual) {
+            return 'manual';
+        }
+        if (detection.reason) {
+            return `not cropped, ${detection.reason}`;
+        }
+        return `${Math.round(detection.confidence * 100)}% of ${detection.samples} frames agree`;
+    },
+
+    // Index of the first input stream ffmpeg blamed in its error output
+    findFailingStream: (stderr = '') => {
+        const errorLines = stderr.split('\n').filter(line => /error|invalid|not supported/i.test(line));
+        for (const line of errorLines) {
+            const match = /stream #?0:(\d+)/i.exec(line);
+            if (match) {
+                return parseInt(match[1], 10);
+            }
+        }
+        return undefined;
+    },
+
+    // Shell-quote a command line so it can be copied into a terminal
+    formatCommand: (args) => {
+        return args.map(arg => {
+            arg = String(arg);
+            return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+        }).join(' ');
+    },
+
+    // Human readable version of a plan built by Video#buildPlan
+    formatPlan: (plan) => {
+        const streams = plan.streams.map(stream => {
+            const details = [stream.codec, stream.language, stream.title && `"${stream.title}"`].filter(Boolean).join(', ');
+            return `\n    ${stream.map} ${stream.type} (${details}) -> ${stream.output}`;
+        });
+
+        return [
+            colors.yellow(path.basename(plan.input)),
+            `  Output:       ${plan.output}`,
+            `  Pixel format: ${plan.pixFmt}`,
+            `  Crop:         ${plan.crop || 'none'}${plan.cropDetection ? ` (${optimizedHelpers.describeCropDetection(plan.cropDetection)})` : ''}`,
+            `  Deinterlace:  ${plan.deinterlace ? 'yes' : 'no'}`,
+            `  HDR:          ${plan.hdr || 'none'}${plan.tonemap ? `, tone-mapped to SDR (${plan.tonemap})` : ''}`,
+            plan.targetSize && `  Target size:  ${plan.targetSize.size} MB, ${plan.targetSize.videoBitrate} kb/s video at ${plan.targetSize.bitsPerPixel} bits per pixel`,
+            `  Streams:${streams.join('')}`,
+            `  Command:      ${plan.command}`
+        ].filter(Boolean).join('\n');
+    },
+
     // Optimized with async/await and caching
     async extractTrack(input, stream, output) {
         const cacheKey = `${input}:${stream.index}`;
@@ -372,8 +1165,10 @@ const optimizedHelpers = {
     },
 
     getCLIArguments: () => {
-        // Return CLI arguments without yargs dependency for basic usage
-        return process.argv.slice(2);
+        return yargs
+            .usage(colors.underline('Usage:') + ' $0 [options] file|directory')
+            .options(cliOptions)
+            .argv;
     },
 
     removeFromObject: (obj, keys) => {
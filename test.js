@@ -1,5 +1,25 @@
+const os = require('os');
+const Path = require('path');
+const fs = require('fs');
+const EventEmitter = require('events');
+
 const assert = require('chai').assert;
 const h265ize = require('./h265ize');
+const Journal = require('./lib/classes/journal.js');
+const RetryPolicy = require('./lib/classes/retryPolicy.js');
+const ThreadAllocator = require('./lib/classes/threadAllocator.js');
+const Schedule = require('./lib/classes/schedule.js');
+const SystemMonitor = require('./lib/classes/systemMonitor.js');
+const DiskGuard = require('./lib/classes/diskGuard.js');
+const ConcurrencyTuner = require('./lib/classes/concurrencyTuner.js');
+const BatchReport = require('./lib/classes/batchReport.js');
+const Coordinator = require('./lib/classes/coordinator.js');
+const Worker = require('./lib/classes/worker.js');
+const StageRegistry = require('./lib/classes/stageRegistry.js');
+const AnalysisCache = require('./lib/classes/analysisCache.js');
+const QualitySearch = require('./lib/classes/qualitySearch.js');
+const CropDetector = require('./lib/classes/cropDetector.js');
+const helpers = require('./lib/helpers.js');
 
 const testVideoPath = 'test/sintel-test.mkv';
 
@@ -85,3 +105,1164 @@ describe('Video', function() {
 
     });
 });
+describe('Journal', function() {
+    this.timeout(1000);
+    const statePath = Path.join(os.tmpdir(), 'h265ize-test-state.json');
+    after(function() {
+        fs.rmSync(statePath, {
+            force: true
+        });
+    });
+    it('should load nothing when there is no state file', function() {
+        return new Journal(statePath, nullLogger).load().then(function(state) {
+            assert.isNull(state, 'state loaded from a missing file');
+        });
+    });
+    it('should save and load the latest state', function() {
+        let journal = new Journal(statePath, nullLogger);
+        journal.save({
+            queue: [{ path: 'a.mkv', status: 'queued' }]
+        });
+        return journal.save({
+            queue: [{ path: 'b.mkv', status: 'running' }]
+        }).then(function() {
+            return journal.load();
+        }).then(function(state) {
+            assert.deepEqual(state.queue, [{ path: 'b.mkv', status: 'running' }], 'latest state not saved');
+        });
+    });
+    it('should ignore a corrupt state file', function() {
+        fs.writeFileSync(statePath, '{"version": 1, "queue": [');
+        return new Journal(statePath, nullLogger).load().then(function(state) {
+            assert.isNull(state, 'corrupt state loaded');
+        });
+    });
+});
+describe('RetryPolicy', function() {
+    const video = {
+        options: {},
+        currentStage: {
+            name: 'Encode'
+        },
+        streams: {
+            subtitleStreams: [{ index: 3 }]
+        }
+    };
+    it('should parse named fallbacks and option overrides', function() {
+        let policy = new RetryPolicy({
+            fallbacks: 'disable-upconvert, preset=veryfast, video-bitrate=2000'
+        });
+        assert.deepEqual(policy.fallbacks, ['disable-upconvert', { preset: 'veryfast' }, { videoBitrate: 2000 }]);
+    });
+    it('should retry until the attempts are used up', function() {
+        let policy = new RetryPolicy({
+            attempts: 3
+        });
+        assert.isTrue(policy.shouldRetry(video, new Error(), 2), 'second attempt not retried');
+        assert.isFalse(policy.shouldRetry(video, new Error(), 3), 'last attempt retried');
+    });
+    it('should not retry failures caused by the input', function() {
+        let policy = new RetryPolicy({
+            attempts: 3
+        });
+        assert.isFalse(policy.shouldRetry(Object.assign({}, video, {
+            currentStage: {
+                name: 'Process Streams'
+            }
+        }), new Error(), 1), 'already encoded video retried');
+    });
+    it('should back off exponentially', function() {
+        let policy = new RetryPolicy({
+            delay: 1000
+        });
+        assert.equal(policy.getDelay(1), 1000);
+        assert.equal(policy.getDelay(3), 4000);
+    });
+    it('should drop the failing subtitle stream', function() {
+        let policy = new RetryPolicy({
+            fallbacks: ['drop-failing-subtitle']
+        });
+        let error = new Error();
+        error.stream = 3;
+        assert.deepEqual(policy.getFallback(video, error, {}, 1).options, { excludeStreams: [3] });
+    });
+    it('should retry quality gate rejections at a lower CRF', function() {
+        let policy = new RetryPolicy({
+            attempts: 3,
+            fallbacks: ['preset=slow']
+        });
+        let error = new Error();
+        error.qualityGate = true;
+        let searched = Object.assign({}, video, {
+            options: { quality: 22, targetQuality: 0.98 }
+        });
+
+        assert.isTrue(policy.shouldRetry(searched, error, 1));
+        assert.deepEqual(policy.getFallback(searched, error, { targetQuality: 0.98 }, 1), {
+            name: 'preset=slow,quality=20',
+            options: { preset: 'slow', targetQuality: 0, quality: 20 }
+        });
+        assert.isFalse(policy.shouldRetry(Object.assign({}, video, {
+            options: { quality: 19, videoBitrate: 2000 }
+        }), error, 1), 'bitrate encode retried with the same settings');
+        assert.isFalse(policy.shouldRetry(Object.assign({}, video, {
+            options: { quality: 1 }
+        }), error, 1), 'retried below CRF 0');
+    });
+});
+describe('ThreadAllocator', function() {
+    it('should parse kernel cpu lists', function() {
+        assert.deepEqual(ThreadAllocator.parseCpuList('0-3,8-9\n'), [0, 1, 2, 3, 8, 9]);
+    });
+    it('should split all cores between jobs', function() {
+        let shares = new ThreadAllocator({
+            cpus: 8
+        }).allocate([{}, {}]);
+        assert.deepEqual(shares.map(share => share.cpus), [[0, 1, 2, 3], [4, 5, 6, 7]]);
+        assert.equal(shares[0].pools, '4');
+    });
+    it('should keep jobs on their NUMA node', function() {
+        let allocator = new ThreadAllocator({
+            cpus: 8
+        });
+        allocator.nodes = [[0, 1, 2, 3], [4, 5, 6, 7]];
+        let shares = allocator.allocate([{}, {}]);
+        assert.equal(shares[1].pools, '-,4');
+        assert.equal(allocator.allocate([shares[1]])[0].node, 1, 'job moved to another node');
+    });
+    it('should move the running processes of any stage to a new share', function() {
+        let video = new h265ize.Video(testVideoPath);
+        let pinned = {};
+        let setAffinity = helpers.setAffinity;
+        helpers.setAffinity = function(pid, cpus) {
+            pinned[pid] = cpus;
+            return Promise.resolve(true);
+        };
+        function running(pid) {
+            return { ffmpegProc: { pid: pid, exitCode: null, signalCode: null } };
+        }
+
+        video.encoder = { logger: nullLogger };
+        video.currentStageNum = 1;
+        video.stages[1].command = running(1);
+        let slot = { share: { cpus: [3] } };
+        let chunk = Object.assign(running(2), { slot: slot });
+        video.chunkCommands = [running(3), chunk, { ffmpegProc: { pid: 4, exitCode: 0, signalCode: null } }];
+        video.setThreadShare({ cpus: [0, 1] });
+        helpers.setAffinity = setAffinity;
+
+        assert.deepEqual(pinned, { 1: [0, 1], 2: [3], 3: [0, 1] });
+    });
+});
+describe('Schedule', function() {
+    it('should always be open without windows', function() {
+        assert.isTrue(new Schedule().isOpen(new Date(2024, 0, 1, 12, 0)));
+    });
+    it('should handle windows past midnight', function() {
+        let schedule = new Schedule({
+            windows: ['22:00-06:00']
+        });
+        assert.isTrue(schedule.isOpen(new Date(2024, 0, 1, 23, 30)), 'closed before midnight');
+        assert.isTrue(schedule.isOpen(new Date(2024, 0, 2, 5, 59)), 'closed after midnight');
+        assert.isFalse(schedule.isOpen(new Date(2024, 0, 2, 12, 0)), 'open at noon');
+    });
+    it('should limit windows to days', function() {
+        let schedule = new Schedule({
+            windows: ['sat,sun 08:00-20:00']
+        });
+        // January 6th 2024 is a Saturday
+        assert.isTrue(schedule.isOpen(new Date(2024, 0, 6, 10, 0)), 'closed on saturday');
+        assert.isFalse(schedule.isOpen(new Date(2024, 0, 8, 10, 0)), 'open on monday');
+    });
+    it('should report reached session limits', function() {
+        let schedule = new Schedule({
+            maxFiles: 2
+        });
+        assert.isNull(schedule.limitReached({ startTime: Date.now(), files: 1, bytes: 0 }));
+        assert.equal(schedule.limitReached({ startTime: Date.now(), files: 2, bytes: 0 }), 'max files');
+    });
+});
+describe('SystemMonitor', function() {
+    const monitor = new SystemMonitor({
+        maxLoad: 1.5,
+        minFreeMemory: 1024 * 1024 * 1024,
+        maxTemperature: 80
+    });
+    const gigabyte = 1024 * 1024 * 1024;
+    it('should be critical when too hot or out of memory', function() {
+        assert.equal(monitor.evaluate({ load: 1, freeMemory: 4 * gigabyte, temperature: 85 }).level, 'critical');
+        assert.equal(monitor.evaluate({ load: 1, freeMemory: gigabyte / 2, temperature: 50 }).level, 'critical');
+    });
+    it('should be high when the load is too high', function() {
+        assert.equal(monitor.evaluate({ load: 2, freeMemory: 4 * gigabyte, temperature: 50 }).level, 'high');
+    });
+    it('should only recover clear of the thresholds', function() {
+        assert.equal(monitor.evaluate({ load: 1.4, freeMemory: 4 * gigabyte, temperature: 50 }).level, 'steady');
+        assert.equal(monitor.evaluate({ load: 1, freeMemory: 4 * gigabyte, temperature: 75 }).level, 'steady');
+        assert.equal(monitor.evaluate({ load: 1, freeMemory: 4 * gigabyte, temperature: null }).level, 'normal');
+    });
+});
+describe('DiskGuard', function() {
+    it('should use the compression of finished videos', function() {
+        assert.equal(DiskGuard.historicalRatio([
+            { inputSize: 1000, outputSize: 300 },
+            { inputSize: 1000, outputSize: 500 },
+            { inputSize: 1000 }
+        ]), 0.4);
+    });
+    it('should prefer the progress projection while encoding', function() {
+        return new DiskGuard().remainingSize({
+            progress: {
+                outputSize: 400,
+                projectedSize: 1000
+            }
+        }, []).then(function(remaining) {
+            assert.equal(remaining, 600);
+        });
+    });
+    it('should flag a destination without room', function() {
+        let guard = new DiskGuard({
+            reserve: Number.MAX_SAFE_INTEGER
+        });
+        return guard.check([], []).then(function(shortage) {
+            assert.isNotNull(shortage, 'reserve larger than any disk was accepted');
+        });
+    });
+});
+describe('Plan mode', function() {
+    it('should only run the analysis stages', function() {
+        let stages = new h265ize.Video(testVideoPath, {
+            plan: true
+        }).stages.map(function(stage) {
+            return stage.name;
+        });
+        assert.notInclude(stages, 'Encode');
+        assert.notInclude(stages, 'Upconvert');
+        assert.equal(stages[stages.length - 1], 'Plan');
+    });
+    it('should plan videos whose output already exists', function() {
+        let video = new h265ize.Video(testVideoPath, {
+            plan: true
+        });
+        video.output.path = __filename;
+        return video.filesystem();
+    });
+    it('should quote commands for the shell', function() {
+        assert.equal(helpers.formatCommand(['ffmpeg', '-i', "/videos/it's here.mkv", '-map', '0:1']),
+            "ffmpeg -i '/videos/it'\\''s here.mkv' -map 0:1");
+    });
+});
+describe('BatchReport', function() {
+    const reportPath = Path.join(os.tmpdir(), 'h265ize-test-report.csv');
+    const report = {
+        generated: '2024-01-01T00:00:00.000Z',
+        summary: { processed: 1, failed: 1, queued: 0 },
+        videos: [{
+            path: 'videos/a, b.mkv',
+            status: 'finished',
+            inputSize: 1000,
+            outputSize: 400,
+            settings: { quality: 19, preset: 'slow' },
+            stages: { Encode: 5000 }
+        }, {
+            path: 'videos/c.mkv',
+            status: 'failed',
+            error: 'Encode: ffmpeg said "no"'
+        }]
+    };
+    after(function() {
+        fs.rmSync(reportPath, {
+            force: true
+        });
+    });
+    it('should pick the format from the file extension', function() {
+        assert.equal(new BatchReport({ path: 'report.html' }).format, 'html');
+        assert.equal(new BatchReport({ path: 'report', format: 'CSV' }).format, 'csv');
+        assert.throws(function() {
+            return new BatchReport({ path: 'report.txt' });
+        });
+    });
+    it('should write one CSV row per video', function() {
+        return new BatchReport({ path: reportPath }).write(report).then(function() {
+            let lines = fs.readFileSync(reportPath, 'utf8').trim().split('\r\n');
+            assert.lengthOf(lines, 3);
+            assert.equal(lines[1], '"videos/a, b.mkv",,finished,1000,400,,,,quality=19; preset=slow,Encode=5000,,,,,');
+            assert.include(lines[2], '"Encode: ffmpeg said ""no"""');
+        });
+    });
+    it('should escape HTML', function() {
+        assert.notInclude(new BatchReport({ path: 'report.html' }).toHTML({
+            generated: '',
+            summary: {},
+            videos: [{ path: '<script>.mkv', status: 'finished' }]
+        }), '<script>');
+    });
+    it('should report the results of the encoder', function() {
+        let encoder = new h265ize.Encoder(nullLogger, { balanceThreads: false });
+        encoder.cleanup();
+        encoder.finishedVideos.push({
+            path: 'videos/a.mkv',
+            output: 'out/a.mkv',
+            inputSize: 1000,
+            outputSize: 400,
+            qualitySearch: { metric: 'ssim', target: 0.98, crf: 22, score: 0.981, met: true, scores: { ssim: 0.981 }, trials: [] },
+            verification: { metric: 'ssim', threshold: 0.97, passed: true, scores: { ssim: 0.975, psnr: 41.2 }, samples: [] }
+        }, {
+            path: 'videos/c.mkv',
+            output: 'videos/c.mkv',
+            keptOriginal: { reason: 'finished', ratio: 95, action: 'keep' }
+        });
+        encoder.failedVideos.push({
+            path: 'videos/b.mkv',
+            stage: 'Verify Encode',
+            error: 'Stream counts differ',
+            checks: [{ name: 'duration', passed: true }, { name: 'streams', passed: false, detail: '1 of 2 audio streams' }]
+        });
+
+        let csv = new BatchReport({ path: reportPath }).toCSV(encoder.getReport(0));
+        assert.include(csv, 'crf=22; metric=ssim; target=0.98; met=true; ssim=0.981');
+        assert.include(csv, 'passed=true; metric=ssim; threshold=0.97; ssim=0.975; psnr=41.2');
+        assert.include(csv, 'duration=passed; streams=failed: 1 of 2 audio streams');
+        assert.include(csv, 'reason=finished; ratio=95; action=keep');
+    });
+});
+describe('Coordinator', function() {
+    this.timeout(2000);
+    let coordinator, worker, video, processing;
+    beforeEach(function() {
+        video = {
+            id: 1,
+            path: 'videos/a.mkv',
+            job: { path: 'videos/a.mkv', options: { quality: 19 }, priority: 0 },
+            options: { quality: 19 },
+            currentStage: { name: 'Pending', action: 'pending' },
+            output: { path: 'out/a.mkv' },
+            events: new EventEmitter()
+        };
+        let encoder = {
+            logger: nullLogger,
+            running: true,
+            queue: [video],
+            keptOriginals: [],
+            takeNextVideo: function(remote) {
+                return Promise.resolve(remote ? this.queue.shift() || null : null);
+            },
+            processVideo: function(video) {
+                processing = video.process();
+                return processing.catch(nullFunc);
+            },
+            getStatus: function() {
+                return {};
+            }
+        };
+        coordinator = new Coordinator(encoder, {
+            port: 0,
+            host: '127.0.0.1',
+            leaseTimeout: 100
+        });
+        return coordinator.listen().then(function(address) {
+            worker = new Worker({
+                url: 'http://127.0.0.1:' + address.port,
+                name: 'test-worker',
+                logger: nullLogger
+            });
+        });
+    });
+    afterEach(function() {
+        return coordinator.close();
+    });
+    it('should hand out a job and take its result', function() {
+        return worker.claim().then(function(job) {
+            assert.deepEqual(job, { id: 1, path: 'videos/a.mkv', options: { quality: 19 }, priority: 0, keptOriginals: [] });
+            return worker.claim();
+        }).then(function(job) {
+            assert.isNull(job, 'video handed out twice');
+            return worker.request('POST', '/jobs/1/finished', {
+                worker: 'test-worker',
+                result: { inputSize: 1000, outputSize: 400 }
+            });
+        }).then(function() {
+            return processing;
+        }).then(function() {
+            assert.equal(video.outputSize, 400);
+        });
+    });
+    it('should take jobs back from silent workers', function() {
+        return worker.claim().then(function() {
+            coordinator.leases.get(1).lastSeen = 0;
+            coordinator.expireLeases();
+            return processing.then(function() {
+                assert.fail('job still assigned');
+            }, function() {
+                assert.isTrue(video.requeue, 'video not requeued');
+            });
+        }).then(function() {
+            return worker.request('POST', '/jobs/1/progress', { worker: 'test-worker' });
+        }).then(function(response) {
+            assert.equal(response.status, 410);
+        });
+    });
+    it('should retry from the CRF the worker encoded at', function() {
+        return worker.claim().then(function() {
+            return worker.request('POST', '/jobs/1/failed', {
+                worker: 'test-worker',
+                error: 'Processed encode did not meet the ssim quality threshold.',
+                qualityGate: true,
+                quality: 16
+            });
+        }).then(function() {
+            return processing.then(function() {
+                assert.fail('job did not fail');
+            }, function(error) {
+                assert.isTrue(error.qualityGate);
+                assert.strictEqual(video.options.quality, 16);
+                assert.strictEqual(RetryPolicy.getRetryQuality(video), 14);
+            });
+        });
+    });
+});
+describe('ConcurrencyTuner', function() {
+    // Throughput peaks at 3 jobs, 4 jobs is hardly faster
+    const throughput = { 1: 1, 2: 1.8, 3: 2.4, 4: 2.45, 5: 2 };
+    function run(tuner, concurrency, windows) {
+        for (let i = 0; i < windows; i++) {
+            concurrency = tuner.sample(concurrency, throughput[concurrency]).concurrency;
+        }
+        return concurrency;
+    }
+    it('should wait for a full window', function() {
+        let tuner = new ConcurrencyTuner({ min: 1, max: 5, samples: 3 });
+        assert.isNull(tuner.sample(2, 1.8));
+        assert.isNull(tuner.sample(2, 1.8));
+        assert.equal(tuner.sample(2, 1.8).concurrency, 3);
+    });
+    it('should settle on the fewest jobs with the best throughput', function() {
+        let tuner = new ConcurrencyTuner({ min: 1, max: 5, samples: 1 });
+        assert.equal(run(tuner, 1, 6), 3);
+    });
+    it('should stay within its bounds', function() {
+        let tuner = new ConcurrencyTuner({ min: 2, max: 2, samples: 1 });
+        assert.equal(run(tuner, 2, 4), 2);
+    });
+});
+describe('Stages', function() {
+    const tagger = {
+        name: 'Tag',
+        promise: function() {
+            return Promise.resolve();
+        }
+    };
+    function stageNames(video) {
+        return video.stages.map(function(stage) {
+            return stage.name;
+        });
+    }
+    it('should insert custom stages next to named stages', function() {
+        let video = new h265ize.Video(testVideoPath).addStage(tagger, {
+            after: 'Move Output'
+        });
+        let names = stageNames(video);
+        assert.equal(names[names.indexOf('Move Output') + 1], 'Tag');
+        assert.equal(video.getStage('Tag').action, 'tag');
+    });
+    it('should refuse unknown positions and duplicates', function() {
+        let video = new h265ize.Video(testVideoPath);
+        assert.throws(function() {
+            video.addStage(tagger, {
+                before: 'Watermark'
+            });
+        });
+        video.addStage(tagger);
+        assert.throws(function() {
+            video.addStage(tagger);
+        });
+    });
+    it('should apply registered stages to new videos', function() {
+        let registry = new StageRegistry(nullLogger)
+            .addStage(tagger, {
+                before: 'Encode'
+            })
+            .removeStage('Screenshots');
+        let names = stageNames(registry.apply(new h265ize.Video(testVideoPath)));
+        assert.equal(names[names.indexOf('Encode') - 1], 'Tag');
+        assert.notInclude(names, 'Screenshots');
+    });
+});
+describe('AnalysisCache', function() {
+    const cacheDir = Path.join(os.tmpdir(), 'h265ize-test-analysis');
+    const sourcePath = Path.join(os.tmpdir(), 'h265ize-test-source.mkv');
+    let cache;
+    before(function() {
+        fs.writeFileSync(sourcePath, 'video');
+        cache = new AnalysisCache({
+            dir: cacheDir,
+            logger: nullLogger
+        });
+    });
+    after(function() {
+        fs.rmSync(cacheDir, {
+            recursive: true,
+            force: true
+        });
+        fs.rmSync(sourcePath, {
+            force: true
+        });
+    });
+    it('should return stored results with the same parameters', function() {
+        return cache.set(sourcePath, 'crop', { stream: 0 }, { width: 1920, height: 800 }).then(function() {
+            return Promise.all([cache.get(sourcePath, 'crop', { stream: 0 }), cache.get(sourcePath, 'crop', { stream: 1 })]);
+        }).then(function(results) {
+            assert.deepEqual(results[0], { width: 1920, height: 800 });
+            assert.isUndefined(results[1], 'result for another stream returned');
+        });
+    });
+    it('should forget results once the source changes', function() {
+        return cache.set(sourcePath, 'interlace', {}, true).then(function() {
+            fs.writeFileSync(sourcePath, 'another video');
+            return cache.get(sourcePath, 'interlace', {});
+        }).then(function(interlaced) {
+            assert.isUndefined(interlaced, 'stale result returned');
+        });
+    });
+});
+describe('Video stream selection', function() {
+    it('should pick the longest, then the largest video stream', function() {
+        let streams = [{
+            index: 0,
+            width: 720,
+            height: 480,
+            tags: { DURATION: '00:01:30.000000000' }
+        }, {
+            index: 1,
+            width: 1920,
+            height: 1080,
+            tags: { DURATION: '01:30:00.000000000' }
+        }, {
+            index: 2,
+            width: 1280,
+            height: 720,
+            duration: '5400.5'
+        }];
+        assert.strictEqual(helpers.getStreamDuration(streams[1]), 5400);
+        assert.strictEqual(helpers.selectMainVideoStream(streams).index, 1);
+    });
+    it('should prefer the default stream between equal angles', function() {
+        let streams = [{
+            index: 0,
+            width: 1920,
+            height: 1080,
+            duration: '100'
+        }, {
+            index: 1,
+            width: 1920,
+            height: 1080,
+            duration: '100',
+            disposition: { default: 1 }
+        }];
+        assert.strictEqual(helpers.selectMainVideoStream(streams).index, 1);
+    });
+    it('should recognize cover art', function() {
+        assert.isTrue(helpers.isAttachedPicture({ codec_name: 'mjpeg', disposition: { attached_pic: 1 } }));
+        assert.isFalse(helpers.isAttachedPicture({ codec_name: 'h264', disposition: { attached_pic: 0 } }));
+    });
+});
+describe('HDR metadata', function() {
+    let probe = {
+        streams: [{
+            color_primaries: 'bt2020',
+            color_transfer: 'smpte2084',
+            color_space: 'bt2020nc',
+            color_range: 'tv'
+        }],
+        frames: [{
+            side_data_list: [{
+                side_data_type: 'Mastering display metadata',
+                red_x: '34000/50000',
+                red_y: '16000/50000',
+                green_x: '13250/50000',
+                green_y: '34500/50000',
+                blue_x: '7500/50000',
+                blue_y: '3000/50000',
+                white_point_x: '15635/50000',
+                white_point_y: '16450/50000',
+                min_luminance: '50/10000',
+                max_luminance: '10000000/10000'
+            }, {
+                side_data_type: 'Content light level metadata',
+                max_content: 1000,
+                max_average: 400
+            }]
+        }]
+    };
+    it('should convert HDR10 metadata to x265 options', function() {
+        let color = helpers.parseColorMetadata(probe);
+        assert.strictEqual(color.hdr, 'hdr10');
+        assert.deepEqual(helpers.getX265ColorOptions(color), [
+            'colorprim=bt2020',
+            'transfer=smpte2084',
+            'colormatrix=bt2020nc',
+            'range=limited',
+            'master-display=G(13250,34500)B(7500,3000)R(34000,16000)WP(15635,16450)L(10000000,50)',
+            'max-cll=1000,400',
+            'hdr10-opt=1'
+        ]);
+    });
+    it('should detect Dolby Vision and HDR10+', function() {
+        let color = helpers.parseColorMetadata({
+            streams: [{
+                color_transfer: 'smpte2084',
+                side_data_list: [{
+                    side_data_type: 'DOVI configuration record',
+                    dv_profile: 8,
+                    dv_bl_signal_compatibility_id: 1
+                }]
+            }],
+            frames: [{
+                side_data_list: [{
+                    side_data_type: 'HDR Dynamic Metadata SMPTE2094-40 (HDR10+)'
+                }]
+            }]
+        });
+        assert.deepEqual(color.dolbyVision, {
+            profile: 8,
+            compatibility: 1
+        });
+        assert.isTrue(color.hdr10Plus);
+    });
+    it('should not tag unknown colors', function() {
+        assert.deepEqual(helpers.getX265ColorOptions(helpers.parseColorMetadata({
+            streams: [{
+                color_primaries: 'unknown',
+                color_transfer: 'bt709'
+            }]
+        })), ['transfer=bt709']);
+    });
+});
+describe('Tone-mapping', function() {
+    it('should linearize the source transfer before tone-mapping to BT.709', function() {
+        let filters = helpers.getTonemapFilters({
+            transfer: 'arib-std-b67',
+            primaries: 'bt2020',
+            matrix: 'bt2020nc',
+            range: null
+        }, 'mobius', 'yuv420p10le');
+        assert.strictEqual(filters[0], 'zscale=tin=arib-std-b67:pin=bt2020:min=bt2020nc:rin=tv:t=linear:npl=100');
+        assert.include(filters, 'tonemap=tonemap=mobius:desat=0');
+        assert.strictEqual(filters[filters.length - 1], 'format=yuv420p10le');
+    });
+    it('should only tone-map HDR sources', function() {
+        let video = new h265ize.Video(testVideoPath, {
+            tonemap: 'hable'
+        });
+        assert.isFalse(video._isTonemapped(), 'tone-mapping without color metadata');
+        video.color = helpers.parseColorMetadata({
+            streams: [{
+                color_transfer: 'bt709'
+            }]
+        });
+        assert.isFalse(video._isTonemapped(), 'tone-mapping an SDR source');
+        video.color.hdr = 'hdr10';
+        assert.isTrue(video._isTonemapped());
+    });
+});
+describe('QualitySearch', function() {
+    // SSIM falling by 0.002 per CRF step
+    function measure(crf) {
+        return Promise.resolve({
+            ssim: 1 - crf * 0.002,
+            psnr: 60 - crf
+        });
+    }
+    it('should pick the highest CRF that reaches the target', function() {
+        return new QualitySearch({
+            target: 0.95,
+            min: 16,
+            max: 32
+        }).search(measure).then(function(result) {
+            assert.strictEqual(result.crf, 25);
+            assert.isTrue(result.met);
+            assert.isAtMost(result.trials.length, 5, 'too many CRFs encoded');
+        });
+    });
+    it('should fall back to the lowest CRF when the target is out of reach', function() {
+        return new QualitySearch({
+            metric: 'psnr',
+            target: 50,
+            min: 16,
+            max: 32
+        }).search(measure).then(function(result) {
+            assert.strictEqual(result.crf, 16);
+            assert.isFalse(result.met);
+        });
+    });
+    it('should parse ffmpeg metric output', function() {
+        assert.deepEqual(QualitySearch.parseScores([
+            '[Parsed_ssim_2 @ 0x1] SSIM Y:0.990000 (20.0) U:0.995 (23.0) V:0.995 (23.0) All:0.991234 (20.5)',
+            '[Parsed_psnr_3 @ 0x2] PSNR y:44.1 u:46.0 v:46.2 average:44.56 min:40.1 max:50.2',
+            '[Parsed_libvmaf_4 @ 0x3] VMAF score: 95.432100'
+        ].join('\n')), {
+            ssim: 0.991234,
+            psnr: 44.56,
+            vmaf: 95.4321
+        });
+        assert.strictEqual(QualitySearch.metricFilter(['ssim']), '[0:v][1:v]ssim');
+    });
+});
+describe('Quality verification', function() {
+    it('should compare labelled streams', function() {
+        assert.strictEqual(QualitySearch.metricFilter(['ssim', 'psnr'], 'distorted', 'reference'),
+            '[distorted]split=2[d0][d1];[reference]split=2[r0][r1];[d0][r0]ssim;[d1][r1]psnr');
+    });
+    it('should report the outcome and scores', function() {
+        assert.strictEqual(BatchReport.flatten(BatchReport.summarizeVerification({
+            metric: 'ssim',
+            threshold: 0.97,
+            passed: false,
+            scores: {
+                ssim: 0.961234567,
+                psnr: 38.5
+            },
+            samples: []
+        })), 'passed=false; metric=ssim; threshold=0.97; ssim=0.9612; psnr=38.5');
+    });
+});
+describe('Structural verification', function() {
+    let video;
+    beforeEach(function() {
+        video = new h265ize.Video(testVideoPath);
+        video.videoStream = {
+            index: 0,
+            codec_type: 'video',
+            duration: '100'
+        };
+        video.mappedVideoStreams = [video.videoStream];
+        video.streams = {
+            audioStreams: [{
+                index: 1,
+                codec_type: 'audio',
+                duration: '100',
+                tags: { language: 'jpn' }
+            }, {
+                index: 2,
+                codec_type: 'audio',
+                duration: '100',
+                tags: { language: 'eng' }
+            }],
+            subtitleStreams: [{
+                index: 3,
+                codec_type: 'subtitle',
+                tags: { language: 'eng' }
+            }],
+            otherStreams: []
+        };
+        video.defaultAudioIndex = 1;
+    });
+    function findCheck(checks, name) {
+        return checks.filter(function(check) {
+            return check.name === name;
+        })[0];
+    }
+    it('should pass an output that matches the mapping', function() {
+        let checks = video._checkStreams({
+            streams: [
+                { codec_type: 'video', duration: '100' },
+                { codec_type: 'audio', duration: '100.2', tags: { language: 'jpn' }, disposition: { default: 1 } },
+                { codec_type: 'audio', duration: '100', tags: { language: 'eng' }, disposition: { default: 0 } },
+                { codec_type: 'subtitle', tags: { language: 'eng' } }
+            ]
+        });
+        checks.forEach(function(check) {
+            assert.isTrue(check.passed, check.name + ': ' + check.detail);
+        });
+    });
+    it('should itemise missing streams, wrong languages and drift', function() {
+        let checks = video._checkStreams({
+            streams: [
+                { codec_type: 'video', duration: '100' },
+                { codec_type: 'audio', duration: '97', tags: { language: 'eng' } }
+            ]
+        });
+        assert.isFalse(findCheck(checks, 'audio streams').passed);
+        assert.isFalse(findCheck(checks, 'subtitle streams').passed);
+        assert.isFalse(findCheck(checks, 'audio languages').passed);
+        assert.isFalse(findCheck(checks, 'dispositions').passed);
+        assert.isFalse(findCheck(checks, 'audio drift').passed);
+        assert.isTrue(findCheck(checks, 'video streams').passed);
+    });
+    it('should keep other disposition flags', function() {
+        assert.strictEqual(helpers.formatDisposition({ disposition: { default: 1, comment: 1, forced: 0 } }, false), 'comment');
+        assert.strictEqual(helpers.formatDisposition({ disposition: { default: 0 } }, true), 'default');
+        assert.strictEqual(helpers.formatDisposition({}, false), '0');
+    });
+});
+describe('Chunked encoding', function() {
+    it('should start chunks at cut points about a chunk length apart', function() {
+        assert.deepEqual(helpers.getChunks([0, 2, 4, 61, 90, 125, 170, 178], 180, 60), [
+            { start: 0, length: 61 },
+            { start: 61, length: 64 },
+            { start: 125, length: 55 }
+        ]);
+    });
+    it('should merge a short last chunk and keep videos without cuts whole', function() {
+        assert.deepEqual(helpers.getChunks([60, 110], 130, 60), [
+            { start: 0, length: 60 },
+            { start: 60, length: 70 }
+        ]);
+        assert.deepEqual(helpers.getChunks([], 130, 60), [{ start: 0, length: 130 }]);
+    });
+    it('should only lend idle slots while nothing is queued', function() {
+        let encoder = new h265ize.Encoder(nullLogger, { maxConcurrentJobs: 3, balanceThreads: false });
+        let video = { path: 'chunked.mkv' };
+        encoder.running = true;
+        encoder.currentlyProcessing.add(video);
+
+        let first = encoder.claimChunkSlot(video);
+        let second = encoder.claimChunkSlot(video);
+        assert.isOk(first);
+        assert.isOk(second);
+        assert.isNull(encoder.claimChunkSlot(video), 'lent more slots than the concurrency limit');
+
+        encoder.releaseChunkSlot(first);
+        encoder.queue.push({ path: 'queued.mkv' });
+        assert.isNull(encoder.claimChunkSlot(video), 'lent a slot a queued video could use');
+        encoder.running = false;
+        encoder.cleanup();
+    });
+});
+describe('Multipass', function() {
+    function createVideo(options) {
+        let video = new h265ize.Video(testVideoPath, Object.assign({
+            multiPass: 2,
+            videoBitrate: 2000
+        }, options));
+        video.encoder = { logger: nullLogger };
+        video.videoStream = {
+            index: 0,
+            input: 0
+        };
+        video.pixFmt = 'yuv420p';
+        return video;
+    }
+    it('should give every video and setting its own stats file', function() {
+        let stats = createVideo()._getStatsFile([]);
+        assert.strictEqual(createVideo()._getStatsFile([]), stats);
+        assert.notStrictEqual(createVideo({ videoBitrate: 3000 })._getStatsFile([]), stats);
+        assert.notStrictEqual(createVideo()._getStatsFile(['crop=1920:800:0:140']), stats);
+        assert.notStrictEqual(stats, Path.join(os.tmpdir(), 'x265stats.log'));
+    });
+    it('should reuse the stats of a finished analysis', function() {
+        let video = createVideo();
+        let stats = video._getStatsFile([]);
+        fs.writeFileSync(stats, '');
+        fs.writeFileSync(stats + '.done', '');
+
+        return video.multiPass().then(function() {
+            assert.include(video.x265Options, 'pass=2:stats=' + stats);
+            video._removeStatsFile();
+            assert.isFalse(fs.existsSync(stats));
+            assert.isFalse(fs.existsSync(stats + '.done'));
+        });
+    });
+});
+describe('Target size', function() {
+    let video, warnings;
+    beforeEach(function() {
+        warnings = [];
+        video = new h265ize.Video(testVideoPath, {
+            targetSize: 350,
+            HEAudioBitrate: 40
+        });
+        video.encoder = {
+            logger: Object.assign({}, nullLogger, {
+                warn: function(...args) {
+                    warnings.push(args.join(' '));
+                }
+            })
+        };
+        video.metadata = { format: { duration: '1400' } };
+        video.videoStream = { index: 0, codec_type: 'video', width: 1920, height: 1080, avg_frame_rate: '24000/1001' };
+        video.mappedVideoStreams = [video.videoStream];
+        video.streams = {
+            audioStreams: [
+                { index: 1, codec_type: 'audio', channels: 6, outputCodec: 'libopus' },
+                { index: 2, codec_type: 'audio', channels: 2, tags: { 'BPS-eng': '192000' } }
+            ],
+            subtitleStreams: [{ index: 3, codec_type: 'subtitle', tags: { BPS: '100' } }],
+            otherStreams: [{ index: 4, codec_type: 'attachment' }]
+        };
+    });
+    it('should read stream bitrates from the stream or its tags', function() {
+        assert.strictEqual(helpers.getStreamBitrate({ bit_rate: '640000' }), 640000);
+        assert.strictEqual(helpers.getStreamBitrate({ tags: { 'BPS-eng': '1536000' } }), 1536000);
+        assert.isNull(helpers.getStreamBitrate({ tags: {} }));
+    });
+    it('should leave the audio, subtitles and overhead out of the video bitrate', function() {
+        return video.fitTargetSize().then(function() {
+            // 350 MB over 1400 s less 1%, 240 kb/s of HE audio, 192 kb/s copied
+            assert.strictEqual(video.options.videoBitrate, Math.floor((350e6 * 8 * 0.99 / 1400 - 240000 - 192000 - 100) / 1000));
+            assert.strictEqual(video.options.multiPass, 2);
+            assert.lengthOf(warnings, 0);
+        });
+    });
+    it('should warn about a starved picture and fail when nothing is left', function() {
+        video.options.targetSize = 80;
+        return video.fitTargetSize().then(function() {
+            assert.match(warnings[0], /bits per pixel/);
+            video.options.targetSize = 30;
+            return video.fitTargetSize().then(function() {
+                assert.fail('fitted a size smaller than the audio');
+            }, function(err) {
+                assert.match(err.message, /too small/);
+            });
+        });
+    });
+});
+describe('Oversized encodes', function() {
+    let video;
+    beforeEach(function() {
+        video = new h265ize.Video(testVideoPath, {
+            maxSizeRatio: 90,
+            sizeWarmup: 10
+        });
+        video.encoder = { logger: nullLogger };
+        video.inputSize = 1000;
+    });
+    it('should only project the size after the warm-up', function() {
+        assert.isFalse(video._isOversized(200, 5), 'checked during the warm-up');
+        assert.isFalse(video._isOversized(80, 10));
+        assert.isTrue(video._isOversized(100, 10));
+        video.options.maxSizeRatio = 0;
+        assert.isFalse(video._isOversized(100, 10), 'checked without a ratio');
+    });
+    it('should keep the original of an encode that turned out larger', function() {
+        let output = Path.join(os.tmpdir(), 'h265ize-test-oversized.mkv');
+        fs.writeFileSync(output, Buffer.alloc(950));
+        video.output.path = output;
+
+        return video.checkSize().then(function() {
+            assert.deepEqual(video.keepOriginal, { reason: 'finished', ratio: 95, action: 'keep' });
+            assert.isFalse(fs.existsSync(output), 'larger output kept');
+            assert.strictEqual(video.output.path, video.path);
+            assert.isTrue(video.finishedEarly);
+        });
+    });
+    it('should remember kept originals and their remux by path and size', function() {
+        let encoder = new h265ize.Encoder(nullLogger, { balanceThreads: false });
+        let output = Path.join(os.tmpdir(), 'h265ize-test-remuxed.mkv');
+        fs.writeFileSync(output, Buffer.alloc(990));
+        video.job = { path: testVideoPath };
+        video.output.path = output;
+        video.keepOriginal = { reason: 'finished', ratio: 95, action: 'remux' };
+
+        return encoder.rememberKeptOriginal(video).then(function() {
+            encoder.cleanup();
+            fs.unlinkSync(output);
+
+            assert.include(encoder.findKeptOriginal(testVideoPath, 1000), { reason: 'finished', ratio: 95 });
+            assert.isNull(encoder.findKeptOriginal(testVideoPath, 1001), 'changed source skipped');
+            assert.isOk(encoder.findKeptOriginal(output, 990), 'remux not remembered');
+            assert.lengthOf(encoder.getState().keptOriginals, 2);
+        });
+    });
+    it('should skip sources whose encode was dropped before', function() {
+        let kept = { path: Path.resolve(testVideoPath), size: 1000, reason: 'finished', ratio: 95, action: 'keep' };
+        video.encoder = {
+            logger: nullLogger,
+            findKeptOriginal: function(videoPath, size) {
+                return Path.resolve(videoPath) === kept.path && size === kept.size ? kept : null;
+            }
+        };
+        let getMetadata = h265ize.Video.getMetadata;
+        h265ize.Video.getMetadata = function() {
+            return Promise.resolve({ format: { size: '1000', duration: '60' }, streams: [] });
+        };
+
+        return video.getInitialMetadata().finally(function() {
+            h265ize.Video.getMetadata = getMetadata;
+        }).then(function() {
+            assert.deepEqual(video.keepOriginal, { reason: 'finished', ratio: 95, action: 'keep' });
+            assert.isTrue(video.finishedEarly);
+        });
+    });
+});
+describe('CropDetector', function() {
+    function frames(count, width, height, x, y) {
+        return Array.from({ length: count }, function() {
+            return { width: width, height: height, x: x, y: y };
+        });
+    }
+    let detector;
+    beforeEach(function() {
+        detector = new CropDetector({ width: 1920, height: 1080 });
+    });
+    it('should parse cropdetect output', function() {
+        assert.deepEqual(CropDetector.parseLine('[Parsed_cropdetect_1 @ 0x5] x1:0 x2:1919 y1:140 y2:939 w:1920 h:800 x:0 y:140 pts:1001 t:0.041708 crop=1920:800:0:140'), {
+            width: 1920,
+            height: 800,
+            x: 0,
+            y: 140
+        });
+        assert.isNull(CropDetector.parseLine('frame=  100 fps=50 q=-0.0 size=N/A'));
+    });
+    it('should ignore bright, dark and black frames', function() {
+        const result = detector.choose(frames(90, 1920, 800, 0, 140)
+            .concat(frames(2, 1920, 1080, 0, 0), frames(5, 1600, 600, 160, 240), frames(3, -1904, -1072, 1912, 1080)));
+
+        assert.deepEqual(result.crop, { width: 1920, height: 800, x: 0, y: 140 });
+        assert.strictEqual(result.samples, 97);
+        assert.strictEqual(result.confidence, 0.928);
+        assert.isFalse(result.mixed);
+    });
+    it('should not crop videos with mixed aspect ratios', function() {
+        const result = detector.choose(frames(60, 1920, 800, 0, 140).concat(frames(40, 1920, 1040, 0, 20)));
+
+        assert.isNull(result.crop);
+        assert.isTrue(result.mixed);
+    });
+    it('should not crop with too few frames or too little confidence', function() {
+        assert.match(detector.choose(frames(3, 1920, 800, 0, 140)).reason, /only 3 usable frames/);
+
+        detector.minConfidence = 0.95;
+        const result = detector.choose(frames(90, 1920, 800, 0, 140).concat(frames(10, 1600, 600, 160, 240)));
+        assert.isNull(result.crop);
+        assert.strictEqual(result.confidence, 0.9);
+    });
+    it('should round the crop outwards', function() {
+        detector.round = 16;
+        assert.deepEqual(detector.roundCrop({ left: 0, right: 1920, top: 138, bottom: 942 }), {
+            width: 1920,
+            height: 816,
+            x: 0,
+            y: 132
+        });
+        assert.throws(function() {
+            new CropDetector({ width: 1920, height: 1080, round: 3 });
+        }, /even/);
+    });
+    it('should apply a manual crop', function() {
+        const video = new h265ize.Video(testVideoPath, { crop: '1920:800', autocropOff: true });
+        video.encoder = { logger: nullLogger };
+        video.videoStream = { index: 0, width: 1920, height: 1080 };
+        video.streams = { secondaryVideoStreams: [] };
+
+        return video.autoCrop().then(function() {
+            assert.deepEqual(video.crop, { width: 1920, height: 800, x: 0, y: 140 });
+            assert.include(video._getVideoFilters(), 'crop=1920:800:0:140');
+            assert.strictEqual(helpers.describeCropDetection(video.cropDetection), 'manual');
+            assert.throws(function() {
+                detector.parse('1920:1200');
+            }, /does not fit/);
+        });
+    });
+});
+describe('Queue', function() {
+    let encoder;
+    beforeEach(function() {
+        encoder = new h265ize.Encoder(nullLogger, { maxConcurrentJobs: 1, balanceThreads: false });
+        encoder.running = true;
+        encoder.queue.push({ path: 'a.mkv', job: { priority: 0 } }, { path: 'b.mkv', job: { priority: 0 } });
+        encoder.hasDiskSpace = function() {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 10, true);
+            });
+        };
+    });
+    afterEach(function() {
+        encoder.running = false;
+        encoder.cleanup();
+    });
+    it('should not take more videos than the limit while disk space is checked', function() {
+        return Promise.all([encoder.takeNextVideo(), encoder.takeNextVideo()]).then(function(videos) {
+            assert.strictEqual(videos[0].path, 'a.mkv');
+            assert.isNull(videos[1], 'second video taken during the disk check');
+            assert.lengthOf(encoder.queue, 1);
+        });
+    });
+    it('should take nothing when a drain starts during the disk check', function() {
+        let taking = encoder.takeNextVideo();
+        encoder.draining = true;
+        return taking.then(function(video) {
+            assert.isNull(video);
+            assert.lengthOf(encoder.queue, 2);
+        });
+    });
+    it('should take the video it checked', function() {
+        let taking = encoder.takeNextVideo();
+        encoder.queue.unshift({ path: 'urgent.mkv', job: { priority: 1 } });
+        return taking.then(function(video) {
+            assert.strictEqual(video.path, 'a.mkv');
+            assert.strictEqual(encoder.queue[0].path, 'urgent.mkv');
+        });
+    });
+    it('should leave the queue of a remote encoder to worker claims', function() {
+        encoder.remote = true;
+        encoder.maxConcurrentJobs = 0;
+        return encoder.takeNextVideo().then(function(video) {
+            assert.isNull(video, 'remote encoder started a video itself');
+            return encoder.takeNextVideo(true);
+        }).then(function(video) {
+            assert.strictEqual(video.path, 'a.mkv');
+            encoder.scheduleHold = true;
+            return encoder.takeNextVideo(true);
+        }).then(function(video) {
+            assert.isNull(video, 'claimed outside the schedule');
+        });
+    });
+    it('should skip finished videos unless overridden', function() {
+        let videoPath = Path.join(os.tmpdir(), 'h265ize-finished.mkv');
+        fs.writeFileSync(videoPath, '');
+        encoder.running = false;
+        encoder.finishedVideos.push({ path: Path.relative(process.cwd(), videoPath) });
+        encoder.createVideo = function(videoPath, options) {
+            return { path: videoPath, options: options, job: { priority: 0 } };
+        };
+        return encoder.addVideo(videoPath).then(function(video) {
+            assert.isNull(video, 'finished video added again');
+            return encoder.addVideo(videoPath, { override: true });
+        }).then(function(video) {
+            assert.strictEqual(video.path, videoPath);
+        }).finally(function() {
+            fs.rmSync(videoPath, { force: true });
+        });
+    });
+});
+describe('Finishing', function() {
+    let encoder, finished, reports;
+    beforeEach(function() {
+        encoder = new h265ize.Encoder(nullLogger, { maxConcurrentJobs: 1, balanceThreads: false });
+        encoder.running = true;
+        finished = 0;
+        reports = 0;
+        encoder.on('finished', function() {
+            finished++;
+        });
+        encoder.writeReport = function() {
+            reports++;
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 10);
+            });
+        };
+    });
+    afterEach(function() {
+        encoder.cleanup();
+    });
+    it('should only finish once', function() {
+        return Promise.all([encoder.finish(), encoder.finish()]).then(function() {
+            assert.strictEqual(finished, 1, 'finished twice');
+                        assert.strictEqual(reports, 1, 'report written twice');
+            assert.isFalse(encoder.running);
+        });
+    });
+    it('should queue retries once when draining with two queue loops', function() {
+        let video = { path: 'retry.mkv', job: { priority: 0 } };
+        encoder.retrying.add(video);
+
+        return encoder.drain().then(function() {
+            return Promise.all([encoder.processQueue(), encoder.processQueue(), encoder.finish()]);
+        }).then(function() {
+            assert.deepEqual(encoder.queue, [video], 'retry queued twice');
+            assert.strictEqual(finished, 1, 'finished twice');
+            assert.isTrue(encoder.draining);
+        });
+    });
+});